@@ -1,28 +1,207 @@
 // middleware/auth.js
-const jwt = require('jsonwebtoken');
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-this';
+const db = require('../db');
+const { verifyAccessToken, getActiveSession, touchSession } = require('../services/sessions');
+const { isVerificationFresh } = require('../services/twoFactor');
+const { isApiToken, findActiveApiToken } = require('../services/apiTokens');
+
+// What each role is allowed to do; admins can do everything
+const ROLE_PERMISSIONS = {
+  user: [],
+  moderator: ['moderate_notes'],
+  admin: ['moderate_notes', 'manage_payouts', 'manage_users']
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+const USER_FIELDS = `
+  id, telegram_id, username, first_name, email, email_verified_at, totp_enabled_at, role, plan, credits, wallet_balance,
+  referral_code, referrals_count, premium_until, country, level, last_login, created_at
+`;
+
+// Load the current user record, cached on the request so stacked
+// middleware doesn't hit the database twice
+const loadUser = async (req, userId) => {
+  if (req._userRecord && req._userRecord.id === userId) {
+    return req._userRecord;
+  }
+
+  const result = await db.query(
+    `SELECT ${USER_FIELDS} FROM users WHERE id = $1`,
+    [userId]
+  );
+
+  req._userRecord = result.rows[0] || null;
+  return req._userRecord;
+};
+
+// Shared by authenticateUser and authenticateWithScope.
+// API tokens are only accepted when the route names a scope they carry.
+const authenticate = (scope) => async (req, res, next) => {
+  const token = req.headers.authorization?.split(' ')[1];
+
+  if (!token) {
+    return res.status(401).json({
+      success: false,
+      error: 'No token provided'
+    });
+  }
 
-const authenticateUser = (req, res, next) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
-      return res.status(401).json({ 
-        success: false, 
-        error: 'No token provided' 
+    let userId;
+    let session = null;
+    let apiToken = null;
+
+    if (isApiToken(token)) {
+      if (!scope) {
+        return res.status(403).json({
+          success: false,
+          error: 'API tokens cannot be used for this endpoint'
+        });
+      }
+
+      apiToken = await findActiveApiToken(token);
+
+      if (!apiToken) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid token'
+        });
+      }
+
+      if (!apiToken.scopes.includes(scope)) {
+        return res.status(403).json({
+          success: false,
+          error: `API token is missing the "${scope}" scope`
+        });
+      }
+
+      userId = apiToken.user_id;
+    } else {
+      let decoded;
+
+      try {
+        decoded = verifyAccessToken(token);
+      } catch (error) {
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid token'
+        });
+      }
+
+      // Tokens without a session (or with a revoked one) are no longer accepted
+      session = decoded.sid && await getActiveSession(decoded.sid);
+
+      if (!session || session.user_id !== decoded.id) {
+        return res.status(401).json({
+          success: false,
+          error: 'Session expired'
+        });
+      }
+
+      userId = decoded.id;
+
+      // Last-activity for the sessions list; don't hold up the request
+      touchSession(session.id, req.ip).catch(error => {
+        console.error('Touch session error:', error);
+      });
+    }
+
+    // Work against the current record, not the claims frozen into the token
+    const user = await loadUser(req, userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not found'
       });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
+    req.user = { ...user, sid: session?.id };
+    req.authSession = session;
+    req.apiToken = apiToken;
     next();
-    
+
   } catch (error) {
-    res.status(401).json({ 
-      success: false, 
-      error: 'Invalid token' 
+    console.error('Auth error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Authentication failed'
+    });
+  }
+};
+
+// Logged-in users only (JWT sessions)
+const authenticateUser = authenticate(null);
+
+// Logged-in users, or personal API tokens carrying `scope`
+const authenticateWithScope = (scope) => authenticate(scope);
+
+// Public routes that personalize for signed-in users: anonymous requests
+// pass through, but a token that is sent must be valid
+const optionalAuthWithScope = (scope) => {
+  const required = authenticate(scope);
+  return (req, res, next) => (req.headers.authorization ? required(req, res, next) : next());
+};
+
+// True when the user has no 2FA, or passed a 2FA check on this session recently
+const isTwoFactorFresh = (req) => {
+  if (!req.user?.totp_enabled_at) {
+    return true;
+  }
+
+  return isVerificationFresh(req.authSession?.two_factor_verified_at);
+};
+
+// Step-up for sensitive actions (payouts, email change, account deletion).
+// Clients should call POST /api/auth/2fa/verify and retry.
+const requireFreshTwoFactor = (req, res, next) => {
+  if (!isTwoFactorFresh(req)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Two-factor verification required',
+      twoFactorRequired: true
     });
   }
+
+  next();
 };
 
-module.exports = { authenticateUser };
\ No newline at end of file
+const hasPermission = (user, permission) => {
+  return (ROLE_PERMISSIONS[user?.role] || []).includes(permission);
+};
+
+// Use after authenticateUser
+const requireRole = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions'
+    });
+  }
+
+  next();
+};
+
+// Use after authenticateUser
+const requirePermission = (permission) => (req, res, next) => {
+  if (!hasPermission(req.user, permission)) {
+    return res.status(403).json({
+      success: false,
+      error: 'Insufficient permissions'
+    });
+  }
+
+  next();
+};
+
+module.exports = {
+  authenticateUser,
+  authenticateWithScope,
+  optionalAuthWithScope,
+  requireRole,
+  requirePermission,
+  requireFreshTwoFactor,
+  isTwoFactorFresh,
+  hasPermission,
+  ROLES
+};
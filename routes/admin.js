@@ -0,0 +1,544 @@
+// routes/admin.js
+// Admin & moderator tools. Every route here requires a staff role.
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const db = require('../db');
+const storage = require('../services/storage');
+const { extractFingerprint, FINGERPRINT_PATTERN } = require('../services/watermark');
+const { getSearchInsights } = require('../services/searchLog');
+const { approveRevision, rejectRevision, moderateCurrentRevision } = require('../services/noteRevisions');
+const { notifyNotePriceDrop } = require('../services/notifications');
+const { authenticateUser, requireRole, requirePermission, ROLES } = require('../middleware/auth');
+
+router.use(authenticateUser, requireRole('admin', 'moderator'));
+
+// Record a moderation decision in the history log
+const logModeration = async (noteId, moderatorId, action, reason, notes) => {
+  await db.query(
+    `INSERT INTO note_moderation_log (note_id, moderator_id, action, reason, notes)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [noteId, moderatorId, action, reason || null, notes || null]
+  );
+};
+
+// GET /api/admin/users - List/search users
+router.get('/users', requirePermission('manage_users'), async (req, res) => {
+  try {
+    const { search, role } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+    let query = `
+      SELECT id, telegram_id, username, first_name, email, role, plan,
+        credits, wallet_balance, last_login, created_at
+      FROM users
+      WHERE 1 = 1
+    `;
+
+    const params = [];
+    let paramIndex = 1;
+
+    if (search) {
+      query += ` AND (username ILIKE $${paramIndex} OR email ILIKE $${paramIndex} OR telegram_id = $${paramIndex + 1})`;
+      params.push(`%${search}%`, search);
+      paramIndex += 2;
+    }
+
+    if (role) {
+      query += ` AND role = $${paramIndex}`;
+      params.push(role);
+      paramIndex++;
+    }
+
+    const offset = (page - 1) * limit;
+    query += ` ORDER BY created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    params.push(limit, offset);
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      users: result.rows,
+      page,
+      limit
+    });
+
+  } catch (error) {
+    console.error('Admin list users error:', error);
+    res.status(500).json({ error: 'Failed to fetch users' });
+  }
+});
+
+// PUT /api/admin/users/:id/role - Change a user's role (admins only)
+router.put('/users/:id/role', requireRole('admin'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Invalid role. Choose one of: ${ROLES.join(', ')}` });
+    }
+
+    if (id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const result = await db.query(
+      'UPDATE users SET role = $1 WHERE id = $2 RETURNING id, username, role',
+      [role, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    console.log(`🛡️  ${req.user.username} set role of ${result.rows[0].username} to ${role}`);
+
+    res.json({
+      success: true,
+      user: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Admin set role error:', error);
+    res.status(500).json({ error: 'Failed to update role' });
+  }
+});
+
+// GET /api/admin/notes - Moderation queue (pending, oldest first by default)
+router.get('/notes', requirePermission('moderate_notes'), async (req, res) => {
+  try {
+    const {
+      status = 'pending',
+      subject,
+      level,
+      seller,
+      search
+    } = req.query;
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+    let query = `
+      SELECT n.id, n.title, n.description, n.subject, n.level, n.country, n.type,
+        n.price_usd, n.tags, n.status, n.created_at, n.updated_at,
+        u.id as seller_id, u.username as seller_name,
+        (SELECT COUNT(*) FROM notes WHERE seller_id = n.seller_id AND status = 'published') as seller_published_count
+      FROM notes n
+      JOIN users u ON n.seller_id = u.id
+      WHERE n.status = $1
+    `;
+
+    const params = [status];
+    let paramIndex = 2;
+
+    if (subject) {
+      query += ` AND n.subject = $${paramIndex}`;
+      params.push(subject);
+      paramIndex++;
+    }
+
+    if (level) {
+      query += ` AND n.level = $${paramIndex}`;
+      params.push(level);
+      paramIndex++;
+    }
+
+    if (seller) {
+      query += ` AND (u.username ILIKE $${paramIndex} OR u.id::text = $${paramIndex + 1})`;
+      params.push(`%${seller}%`, seller);
+      paramIndex += 2;
+    }
+
+    if (search) {
+      query += ` AND (n.title ILIKE $${paramIndex} OR n.description ILIKE $${paramIndex})`;
+      params.push(`%${search}%`);
+      paramIndex++;
+    }
+
+    const countResult = await db.query(
+      `SELECT COUNT(*) as total FROM (${query}) q`,
+      params
+    );
+
+    const offset = (page - 1) * limit;
+    query += ` ORDER BY n.updated_at ASC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    params.push(limit, offset);
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      notes: result.rows,
+      total: parseInt(countResult.rows[0].total),
+      page,
+      limit
+    });
+
+  } catch (error) {
+    console.error('Moderation queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch moderation queue' });
+  }
+});
+
+// GET /api/admin/notes/:id - Note details with moderation history
+router.get('/notes/:id', requirePermission('moderate_notes'), async (req, res) => {
+  try {
+    const noteResult = await db.query(`
+      SELECT n.*, u.username as seller_name
+      FROM notes n
+      JOIN users u ON n.seller_id = u.id
+      WHERE n.id = $1
+    `, [req.params.id]);
+
+    if (noteResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const history = await db.query(`
+      SELECT l.id, l.action, l.reason, l.notes, l.created_at,
+        l.moderator_id, u.username as moderator_name
+      FROM note_moderation_log l
+      LEFT JOIN users u ON l.moderator_id = u.id
+      WHERE l.note_id = $1
+      ORDER BY l.created_at DESC
+    `, [req.params.id]);
+
+    res.json({
+      success: true,
+      note: noteResult.rows[0],
+      history: history.rows
+    });
+
+  } catch (error) {
+    console.error('Moderation note error:', error);
+    res.status(500).json({ error: 'Failed to fetch note' });
+  }
+});
+
+// GET /api/admin/notes/:id/file - Preview the uploaded file
+router.get('/notes/:id/file', requirePermission('moderate_notes'), async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT file_url FROM notes WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const fileKey = result.rows[0].file_url;
+
+    let fileStream;
+    try {
+      fileStream = await storage.stream(fileKey);
+    } catch (error) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Inline so it opens in the browser instead of downloading
+    res.type(storage.contentTypeFor(fileKey));
+    res.set('Content-Disposition', 'inline');
+    fileStream.on('error', (error) => {
+      console.error('Moderation preview stream error:', error);
+      res.destroy(error);
+    });
+    fileStream.pipe(res);
+
+  } catch (error) {
+    console.error('Moderation preview error:', error);
+    res.status(500).json({ error: 'Failed to load file' });
+  }
+});
+
+// POST /api/admin/notes/:id/approve - Publish a pending note
+router.post('/notes/:id/approve', requirePermission('moderate_notes'), async (req, res) => {
+  try {
+    const { notes } = req.body;
+
+    // `old` is the row before the update: listed_price_usd is what buyers
+    // last saw, before any edit under review
+    const result = await db.query(
+      `UPDATE notes n SET status = 'published'
+       FROM notes old
+       WHERE n.id = $1 AND n.status = 'pending' AND old.id = n.id
+       RETURNING n.id, n.title, n.status, n.seller_id, n.price_usd, old.listed_price_usd as previous_price`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Note not found or not pending review' });
+    }
+
+    const { previous_price, ...note } = result.rows[0];
+
+    await moderateCurrentRevision(req.params.id, req.user.id, 'approved');
+    await logModeration(req.params.id, req.user.id, 'approved', null, notes);
+    await notifyNotePriceDrop(note, previous_price);
+
+    console.log(`✅ Note approved by ${req.user.username}: ${note.title}`);
+
+    res.json({
+      success: true,
+      note
+    });
+
+  } catch (error) {
+    console.error('Approve note error:', error);
+    res.status(500).json({ error: 'Failed to approve note' });
+  }
+});
+
+// POST /api/admin/notes/:id/reject - Reject a pending note with a reason shown to the seller
+router.post('/notes/:id/reject', requirePermission('moderate_notes'), async (req, res) => {
+  try {
+    const { reason, notes } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: 'A rejection reason is required' });
+    }
+
+    const result = await db.query(
+      `UPDATE notes SET status = 'rejected'
+       WHERE id = $1 AND status = 'pending'
+       RETURNING id, title, status, seller_id`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Note not found or not pending review' });
+    }
+
+    await moderateCurrentRevision(req.params.id, req.user.id, 'rejected', reason.trim());
+    await logModeration(req.params.id, req.user.id, 'rejected', reason.trim(), notes);
+
+    console.log(`❌ Note rejected by ${req.user.username}: ${result.rows[0].title}`);
+
+    res.json({
+      success: true,
+      note: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Reject note error:', error);
+    res.status(500).json({ error: 'Failed to reject note' });
+  }
+});
+
+// GET /api/admin/revisions - Revisions of published notes waiting for review
+router.get('/revisions', requirePermission('moderate_notes'), async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const offset = (page - 1) * limit;
+
+    const result = await db.query(`
+      SELECT r.id, r.note_id, r.revision_number, r.changelog, r.status, r.rejection_reason,
+        r.pages, r.created_at, n.title, n.current_revision, n.status as note_status,
+        u.id as seller_id, u.username as seller_name
+      FROM note_revisions r
+      JOIN notes n ON r.note_id = n.id
+      JOIN users u ON n.seller_id = u.id
+      WHERE r.status = $1
+        -- a note's first file is reviewed with the note itself
+        AND (r.status <> 'pending' OR r.revision_number > n.current_revision)
+      ORDER BY r.created_at ASC
+      LIMIT $2 OFFSET $3
+    `, [status, limit, offset]);
+
+    res.json({
+      success: true,
+      revisions: result.rows,
+      page,
+      limit
+    });
+
+  } catch (error) {
+    console.error('Revision queue error:', error);
+    res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
+});
+
+// GET /api/admin/revisions/:id/file - Preview a revision's file
+router.get('/revisions/:id/file', requirePermission('moderate_notes'), async (req, res) => {
+  try {
+    const result = await db.query(
+      'SELECT file_url FROM note_revisions WHERE id = $1',
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const fileKey = result.rows[0].file_url;
+
+    let fileStream;
+    try {
+      fileStream = await storage.stream(fileKey);
+    } catch (error) {
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    res.type(storage.contentTypeFor(fileKey));
+    res.set('Content-Disposition', 'inline');
+    fileStream.on('error', (error) => {
+      console.error('Revision preview stream error:', error);
+      res.destroy(error);
+    });
+    fileStream.pipe(res);
+
+  } catch (error) {
+    console.error('Revision preview error:', error);
+    res.status(500).json({ error: 'Failed to load file' });
+  }
+});
+
+// POST /api/admin/revisions/:id/approve - Make a revision the note's current file
+// and notify its buyers
+router.post('/revisions/:id/approve', requirePermission('moderate_notes'), async (req, res) => {
+  try {
+    const approved = await approveRevision(req.params.id, req.user.id);
+
+    if (!approved) {
+      return res.status(409).json({ error: 'Revision not found or not pending review' });
+    }
+
+    console.log(`✅ Revision ${approved.revision.revision_number} of "${approved.note.title}" approved by ${req.user.username}`);
+
+    res.json({
+      success: true,
+      revision: approved.revision,
+      note: approved.note,
+      buyersNotified: approved.notified,
+      wishlistersNotified: approved.wishlistNotified
+    });
+
+  } catch (error) {
+    console.error('Approve revision error:', error);
+    res.status(500).json({ error: 'Failed to approve revision' });
+  }
+});
+
+// POST /api/admin/revisions/:id/reject - Reject a revision; buyers keep the current version
+router.post('/revisions/:id/reject', requirePermission('moderate_notes'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({ error: 'A rejection reason is required' });
+    }
+
+    const revision = await rejectRevision(req.params.id, req.user.id, reason.trim());
+
+    if (!revision) {
+      return res.status(409).json({ error: 'Revision not found or not pending review' });
+    }
+
+    res.json({
+      success: true,
+      revision
+    });
+
+  } catch (error) {
+    console.error('Reject revision error:', error);
+    res.status(500).json({ error: 'Failed to reject revision' });
+  }
+});
+
+// GET /api/admin/search-insights - Top, zero-result and unmet searches
+router.get('/search-insights', requirePermission('moderate_notes'), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), 365);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+
+    const insights = await getSearchInsights({ days, limit });
+
+    res.json({
+      success: true,
+      days,
+      ...insights
+    });
+
+  } catch (error) {
+    console.error('Search insights error:', error);
+    res.status(500).json({ error: 'Failed to fetch search insights' });
+  }
+});
+
+// Purchase (with buyer and note) behind a download fingerprint
+const findPurchaseByFingerprint = async (fingerprint) => {
+  const result = await db.query(`
+    SELECT p.id as purchase_id, p.fingerprint, p.amount_usd, p.status, p.created_at as purchased_at,
+      b.id as buyer_id, b.username as buyer_username, b.telegram_id as buyer_telegram_id, b.email as buyer_email,
+      n.id as note_id, n.title as note_title, s.username as seller_username
+    FROM purchases p
+    LEFT JOIN users b ON p.buyer_id = b.id
+    LEFT JOIN notes n ON p.note_id = n.id
+    LEFT JOIN users s ON n.seller_id = s.id
+    WHERE p.fingerprint = $1
+  `, [fingerprint]);
+
+  return result.rows[0] || null;
+};
+
+// GET /api/admin/fingerprints/:fingerprint - Trace a leaked file's fingerprint
+router.get('/fingerprints/:fingerprint', requirePermission('manage_users'), async (req, res) => {
+  try {
+    const { fingerprint } = req.params;
+
+    if (!FINGERPRINT_PATTERN.test(fingerprint)) {
+      return res.status(400).json({ error: 'Invalid fingerprint format (expected NTX-xxxxxxxxxxxxxxxx)' });
+    }
+
+    const purchase = await findPurchaseByFingerprint(fingerprint);
+
+    if (!purchase) {
+      return res.status(404).json({ error: 'No purchase found for this fingerprint' });
+    }
+
+    res.json({ success: true, purchase });
+
+  } catch (error) {
+    console.error('Fingerprint lookup error:', error);
+    res.status(500).json({ error: 'Fingerprint lookup failed' });
+  }
+});
+
+// POST /api/admin/fingerprints/extract - Upload a leaked file to find its buyer
+const leakUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }
+});
+
+router.post('/fingerprints/extract', requirePermission('manage_users'), leakUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    const fingerprint = await extractFingerprint(req.file.buffer);
+
+    if (!fingerprint) {
+      return res.status(404).json({ error: 'No fingerprint found in this file' });
+    }
+
+    const purchase = await findPurchaseByFingerprint(fingerprint);
+
+    res.json({
+      success: true,
+      fingerprint,
+      purchase
+    });
+
+  } catch (error) {
+    console.error('Fingerprint extract error:', error);
+    res.status(500).json({ error: 'Fingerprint extraction failed' });
+  }
+});
+
+module.exports = router;
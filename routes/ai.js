@@ -3,10 +3,12 @@ const router = express.Router();
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const db = require('../db');
 const crypto = require('crypto');
-const { authenticateUser } = require('./auth');  // Same directory
+const { authenticateWithScope } = require('../middleware/auth');
 
 const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
 
+const AI_JOB_TOPICS = 20; // words kept per job for recommendations
+
 async function checkCredits(req, res, next) {
   const user = req.user;
   
@@ -31,14 +33,23 @@ async function deductCredit(userId) {
   );
 }
 
-async function logAIJob(userId, jobType, inputHash, output, costUnits = 1) {
+// Keeps a hash of the input and its most frequent words (for
+// recommendations), not the text
+async function logAIJob(userId, jobType, inputText, output, costUnits = 1) {
+  const inputHash = crypto.createHash('md5').update(inputText.substring(0, 1000)).digest('hex');
+
   await db.query(`
-    INSERT INTO ai_jobs (user_id, job_type, input_hash, output, cost_units)
-    VALUES ($1, $2, $3, $4, $5)
-  `, [userId, jobType, inputHash, JSON.stringify(output), costUnits]);
+    INSERT INTO ai_jobs (user_id, job_type, input_hash, output, cost_units, topics)
+    VALUES ($1, $2, $3, $4, $5, ARRAY(
+      SELECT lexeme FROM unnest(to_tsvector('english', $6))
+      WHERE lexeme ~ '^[[:alnum:]]+$' AND length(lexeme) > 2
+      ORDER BY array_length(positions, 1) DESC, lexeme
+      LIMIT $7
+    ))
+  `, [userId, jobType, inputHash, JSON.stringify(output), costUnits, inputText.substring(0, 5000), AI_JOB_TOPICS]);
 }
 
-router.post('/summarize', authenticateUser, checkCredits, async (req, res) => {
+router.post('/summarize', authenticateWithScope('ai:use'), checkCredits, async (req, res) => {
   try {
     const { text } = req.body;
     
@@ -60,8 +71,7 @@ router.post('/summarize', authenticateUser, checkCredits, async (req, res) => {
 
     await deductCredit(req.user.id);
     
-    const inputHash = require('crypto').createHash('md5').update(text.substring(0, 1000)).digest('hex');
-    await logAIJob(req.user.id, 'summary', inputHash, { summary });
+    await logAIJob(req.user.id, 'summary', text, { summary });
 
     res.json({
       success: true,
@@ -75,7 +85,7 @@ router.post('/summarize', authenticateUser, checkCredits, async (req, res) => {
   }
 });
 
-router.post('/flashcards', authenticateUser, checkCredits, async (req, res) => {
+router.post('/flashcards', authenticateWithScope('ai:use'), checkCredits, async (req, res) => {
   try {
     const { text, count = 5 } = req.body;
     
@@ -107,8 +117,7 @@ ${text}`;
 
     await deductCredit(req.user.id);
     
-    const inputHash = require('crypto').createHash('md5').update(text.substring(0, 1000)).digest('hex');
-    await logAIJob(req.user.id, 'flashcards', inputHash, { flashcards });
+    await logAIJob(req.user.id, 'flashcards', text, { flashcards });
 
     res.json({
       success: true,
@@ -123,7 +132,7 @@ ${text}`;
   }
 });
 
-router.post('/quiz', authenticateUser, checkCredits, async (req, res) => {
+router.post('/quiz', authenticateWithScope('ai:use'), checkCredits, async (req, res) => {
   try {
     const { text, count = 5 } = req.body;
     
@@ -170,8 +179,7 @@ ${text}`;
 
     await deductCredit(req.user.id);
     
-    const inputHash = require('crypto').createHash('md5').update(text.substring(0, 1000)).digest('hex');
-    await logAIJob(req.user.id, 'quiz', inputHash, { quiz });
+    await logAIJob(req.user.id, 'quiz', text, { quiz });
 
     res.json({
       success: true,
@@ -186,7 +194,7 @@ ${text}`;
   }
 });
 
-router.post('/explain', authenticateUser, checkCredits, async (req, res) => {
+router.post('/explain', authenticateWithScope('ai:use'), checkCredits, async (req, res) => {
   try {
     const { text, question } = req.body;
     
@@ -206,8 +214,7 @@ router.post('/explain', authenticateUser, checkCredits, async (req, res) => {
 
     await deductCredit(req.user.id);
     
-    const inputHash = require('crypto').createHash('md5').update((text || question).substring(0, 1000)).digest('hex');
-    await logAIJob(req.user.id, 'explain', inputHash, { explanation });
+    await logAIJob(req.user.id, 'explain', text || question, { explanation });
 
     res.json({
       success: true,
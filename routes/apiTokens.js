@@ -0,0 +1,84 @@
+// routes/apiTokens.js
+// Manage personal API tokens (mounted at /api/auth/tokens)
+
+const express = require('express');
+const router = express.Router();
+const { authenticateUser, requireFreshTwoFactor } = require('../middleware/auth');
+const { SCOPES, createApiToken, listApiTokens, revokeApiToken } = require('../services/apiTokens');
+
+// GET /api/auth/tokens - List active tokens (never returns the token itself)
+router.get('/', authenticateUser, async (req, res) => {
+  try {
+    const tokens = await listApiTokens(req.user.id);
+
+    res.json({
+      success: true,
+      tokens,
+      availableScopes: SCOPES
+    });
+
+  } catch (error) {
+    console.error('List API tokens error:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch API tokens' });
+  }
+});
+
+// POST /api/auth/tokens - Create a token. The plaintext is shown only once.
+router.post('/', authenticateUser, requireFreshTwoFactor, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || !Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ success: false, error: 'Name and at least one scope are required' });
+    }
+
+    const invalidScopes = scopes.filter(scope => !SCOPES.includes(scope));
+    if (invalidScopes.length > 0) {
+      return res.status(400).json({ success: false, error: `Invalid scopes: ${invalidScopes.join(', ')}` });
+    }
+
+    if (expiresInDays !== undefined && !(parseInt(expiresInDays) > 0)) {
+      return res.status(400).json({ success: false, error: 'expiresInDays must be a positive number' });
+    }
+
+    const { token, apiToken } = await createApiToken(req.user.id, {
+      name: String(name).substring(0, 100),
+      scopes: [...new Set(scopes)],
+      expiresInDays: expiresInDays && parseInt(expiresInDays)
+    });
+
+    res.json({
+      success: true,
+      token,
+      apiToken,
+      message: 'Copy this token now. You will not be able to see it again.'
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    console.error('Create API token error:', error);
+    res.status(500).json({ success: false, error: 'Failed to create API token' });
+  }
+});
+
+// DELETE /api/auth/tokens/:id - Revoke a token
+router.delete('/:id', authenticateUser, async (req, res) => {
+  try {
+    const revoked = await revokeApiToken(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ success: false, error: 'Token not found' });
+    }
+
+    res.json({ success: true, message: 'Token revoked' });
+
+  } catch (error) {
+    console.error('Revoke API token error:', error);
+    res.status(500).json({ success: false, error: 'Failed to revoke API token' });
+  }
+});
+
+module.exports = router;
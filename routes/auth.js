@@ -2,39 +2,75 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const { authenticateUser, requireFreshTwoFactor } = require('../middleware/auth');
+const {
+  createSession,
+  rotateRefreshToken,
+  listSessions,
+  revokeSession,
+  revokeUserSession,
+  revokeAllSessions
+} = require('../services/sessions');
+const { describeClient } = require('../services/deviceInfo');
+const { consumeUserToken } = require('../services/userTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/emails');
+const twoFactor = require('../services/twoFactor');
+const { requestContext, logAuthEvent, listAuthEvents } = require('../services/authEvents');
+const { checkLoginThrottle, normalizeIdentifier } = require('../services/loginThrottle');
+const { verifyTelegramInitData } = require('../services/telegramAuth');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'd142290f954317405e3ea375c24c48fd4ce28f7a022e63d8182cc05de07cf47454b1f049f8fc5a7e87f712bfa2ab4bf5c771280885d01d1f422caf6167e4d169';
-
-// Generate token
-const generateToken = (user) => {
-  return jwt.sign(
-    { 
-      id: user.id, 
-      username: user.username,
-      email: user.email 
-    },
-    JWT_SECRET,
-    { expiresIn: '7d' }
-  );
+const MIN_PASSWORD_LENGTH = 8;
+
+// Generate referral code
+const generateReferralCode = () => {
+  return Math.random().toString(36).substring(2, 10).toUpperCase();
 };
 
+// Public user fields returned by login endpoints
+const formatUser = (user) => ({
+  id: user.id,
+  username: user.username,
+  email: user.email,
+  referral_code: user.referral_code,
+  plan: user.plan,
+  credits: user.credits,
+  wallet_balance: user.wallet_balance,
+  email_verified: !!user.email_verified_at,
+  two_factor_enabled: !!user.totp_enabled_at,
+  referrals_count: user.referrals_count,
+  premium_until: user.premium_until
+});
+
 // User registration
 router.post('/register', async (req, res) => {
   try {
     const { username, email, password } = req.body;
 
-    if (!username || !email) {
+    if (!username || !email || !password) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Username, email and password are required' 
+      });
+    }
+
+    if (username.includes('@')) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Username and email are required' 
+        error: 'Username cannot contain "@"' 
       });
     }
 
-    // Check if user exists
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` 
+      });
+    }
+
+    // Check if user exists (logins are case-insensitive)
     const existingUser = await db.query(
-      'SELECT id FROM users WHERE email = $1 OR username = $2',
+      'SELECT id FROM users WHERE LOWER(email) = LOWER($1) OR LOWER(username) = LOWER($2)',
       [email, username]
     );
 
@@ -46,10 +82,10 @@ router.post('/register', async (req, res) => {
     }
 
     // Generate referral code
-    const referralCode = Math.random().toString(36).substring(2, 10).toUpperCase();
+    const referralCode = generateReferralCode();
 
-    // Hash password (if provided)
-    const hashedPassword = password ? await bcrypt.hash(password, 10) : null;
+    // Hash password
+    const hashedPassword = await bcrypt.hash(password, 10);
 
     // Create user
     const newUser = await db.query(
@@ -60,15 +96,21 @@ router.post('/register', async (req, res) => {
     );
 
     const user = newUser.rows[0];
-    const token = generateToken(user);
+    const tokens = await createSession(user, { client: describeClient(req, 'password') });
+
+    // Don't fail registration if the mail server is down; user can resend
+    sendVerificationEmail(user).catch(error => {
+      console.error('Verification email error:', error);
+    });
 
     res.json({
       success: true,
-      token,
+      ...tokens,
       user: {
         id: user.id,
         username: user.username,
         email: user.email,
+        email_verified: false,
         referral_code: user.referral_code,
         plan: user.plan,
         credits: user.credits,
@@ -85,60 +127,95 @@ router.post('/register', async (req, res) => {
   }
 });
 
+// Hash compared against when the account doesn't exist, so response
+// time doesn't reveal which usernames are registered
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('notex-dummy-password', 10);
+
 // User login
 router.post('/login', async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, totpCode } = req.body;
 
-    if (!username) {
+    if (!username || !password) {
       return res.status(400).json({ 
         success: false, 
-        error: 'Username is required' 
+        error: 'Username and password are required' 
       });
     }
 
-    // Find user
+    const context = requestContext(req);
+    const identifier = normalizeIdentifier(username);
+
+    const throttle = await checkLoginThrottle({ identifier, ip: context.ip });
+
+    if (throttle.locked) {
+      await logAuthEvent({ type: 'login_locked', identifier, ...context });
+
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({ 
+        success: false, 
+        error: `Too many failed login attempts. Try again in ${Math.ceil(throttle.retryAfter / 60)} minute(s).`,
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    // Find user: by email if the identifier has an "@" (usernames can't),
+    // otherwise by username, preferring an exact-case match
     const userResult = await db.query(
-      'SELECT * FROM users WHERE username = $1 OR email = $1',
-      [username]
+      identifier.includes('@')
+        ? 'SELECT * FROM users WHERE LOWER(email) = $1 ORDER BY created_at LIMIT 1'
+        : 'SELECT * FROM users WHERE LOWER(username) = $1 ORDER BY username = $2 DESC, created_at LIMIT 1',
+      identifier.includes('@') ? [identifier] : [identifier, String(username).trim()]
     );
 
-    if (userResult.rows.length === 0) {
+    const user = userResult.rows[0];
+
+    // Unknown user, Telegram-only account (no password) and wrong password
+    // all get the same answer
+    const validPassword = await bcrypt.compare(password, user?.password_hash || DUMMY_PASSWORD_HASH);
+
+    if (!user || !user.password_hash || !validPassword) {
+      await logAuthEvent({ userId: user?.id, type: 'login_failed', identifier, ...context, metadata: { reason: 'credentials' } });
+
       return res.status(401).json({ 
         success: false, 
-        error: 'User not found' 
+        error: 'Invalid username or password' 
       });
     }
 
-    const user = userResult.rows[0];
+    // Second factor
+    if (user.totp_enabled_at) {
+      if (!totpCode) {
+        return res.status(401).json({ 
+          success: false, 
+          error: 'Two-factor code required',
+          twoFactorRequired: true
+        });
+      }
+
+      if (!(await twoFactor.verifyCode(user.id, totpCode))) {
+        await logAuthEvent({ userId: user.id, type: 'login_failed', identifier, ...context, metadata: { reason: 'two_factor' } });
 
-    // Check password (if exists)
-    if (user.password_hash && password) {
-      const validPassword = await bcrypt.compare(password, user.password_hash);
-      if (!validPassword) {
         return res.status(401).json({ 
           success: false, 
-          error: 'Invalid password' 
+          error: 'Invalid two-factor code',
+          twoFactorRequired: true
         });
       }
     }
 
-    const token = generateToken(user);
+    const tokens = await createSession(user, {
+      twoFactorVerified: !!user.totp_enabled_at,
+      client: describeClient(req, 'password')
+    });
+
+    await db.query('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
+    await logAuthEvent({ userId: user.id, type: 'login_success', identifier, ...context, metadata: { method: 'password' } });
 
     res.json({
       success: true,
-      token,
-      user: {
-        id: user.id,
-        username: user.username,
-        email: user.email,
-        referral_code: user.referral_code,
-        plan: user.plan,
-        credits: user.credits,
-        wallet_balance: user.wallet_balance,
-        referrals_count: user.referrals_count,
-        premium_until: user.premium_until
-      }
+      ...tokens,
+      user: formatUser(user)
     });
 
   } catch (error) {
@@ -150,44 +227,670 @@ router.post('/login', async (req, res) => {
   }
 });
 
-// Verify token
-router.get('/verify', async (req, res) => {
+// Telegram logins and checks on an existing session have no typed
+// identifier; their failures count towards the login lockout per account
+const accountIdentifier = (user) => `user:${user.id}`;
+
+const throttleStepUp = async (req, res, next) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1];
-    
-    if (!token) {
+    const throttle = await checkLoginThrottle({ identifier: accountIdentifier(req.user), ip: requestContext(req).ip });
+
+    if (throttle.locked) {
+      res.set('Retry-After', String(throttle.retryAfter));
+      return res.status(429).json({ 
+        success: false, 
+        error: `Too many failed attempts. Try again in ${Math.ceil(throttle.retryAfter / 60)} minute(s).`,
+        retryAfter: throttle.retryAfter
+      });
+    }
+
+    next();
+
+  } catch (error) {
+    console.error('Step-up throttle error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Verification failed' 
+    });
+  }
+};
+
+const logStepUpFailure = (req, reason) => {
+  return logAuthEvent({
+    userId: req.user.id,
+    type: 'login_failed',
+    identifier: accountIdentifier(req.user),
+    ...requestContext(req),
+    metadata: { reason }
+  });
+};
+
+// Telegram WebApp login
+router.post('/telegram-login', async (req, res) => {
+  try {
+    const { initData, totpCode } = req.body;
+
+    if (!initData) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'initData is required' 
+      });
+    }
+
+    const botToken = process.env.TELEGRAM_BOT_TOKEN;
+    if (!botToken) {
+      console.error('Telegram login error: TELEGRAM_BOT_TOKEN is not set');
+      return res.status(500).json({ 
+        success: false, 
+        error: 'Telegram login is not configured' 
+      });
+    }
+
+    const telegramUser = verifyTelegramInitData(initData, botToken);
+
+    if (!telegramUser || !telegramUser.id) {
+      await logAuthEvent({ type: 'login_failed', ...requestContext(req), metadata: { method: 'telegram' } });
+
       return res.status(401).json({ 
         success: false, 
-        error: 'No token provided' 
+        error: 'Invalid Telegram data' 
       });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    // Check if user still exists
+    // Create user on first sight, otherwise refresh profile fields
     const userResult = await db.query(
-      'SELECT id FROM users WHERE id = $1',
-      [decoded.id]
+      `INSERT INTO users (telegram_id, username, first_name, referral_code, plan, credits, wallet_balance, last_login)
+       VALUES ($1, $2, $3, $4, 'free', 10, 0, NOW())
+       ON CONFLICT (telegram_id) DO UPDATE SET
+         username = COALESCE(EXCLUDED.username, users.username),
+         first_name = EXCLUDED.first_name,
+         referral_code = COALESCE(users.referral_code, EXCLUDED.referral_code)
+       RETURNING *, (xmax = 0) AS is_new_user`,
+      [
+        String(telegramUser.id),
+        telegramUser.username || null,
+        telegramUser.first_name || null,
+        generateReferralCode()
+      ]
     );
 
-    if (userResult.rows.length === 0) {
+    const user = userResult.rows[0];
+    const context = requestContext(req);
+
+    // Second factor, as for password logins. initData stays valid for a
+    // while, so on its own it must not be enough.
+    if (user.totp_enabled_at) {
+      const identifier = accountIdentifier(user);
+      const throttle = await checkLoginThrottle({ identifier, ip: context.ip });
+
+      if (throttle.locked) {
+        await logAuthEvent({ userId: user.id, type: 'login_locked', identifier, ...context, metadata: { method: 'telegram' } });
+
+        res.set('Retry-After', String(throttle.retryAfter));
+        return res.status(429).json({ 
+          success: false, 
+          error: `Too many failed login attempts. Try again in ${Math.ceil(throttle.retryAfter / 60)} minute(s).`,
+          retryAfter: throttle.retryAfter
+        });
+      }
+
+      if (!totpCode) {
+        return res.status(401).json({ 
+          success: false, 
+          error: 'Two-factor code required',
+          twoFactorRequired: true
+        });
+      }
+
+      if (!(await twoFactor.verifyCode(user.id, totpCode))) {
+        await logAuthEvent({ userId: user.id, type: 'login_failed', identifier, ...context, metadata: { method: 'telegram', reason: 'two_factor' } });
+
+        return res.status(401).json({ 
+          success: false, 
+          error: 'Invalid two-factor code',
+          twoFactorRequired: true
+        });
+      }
+    }
+
+    const tokens = await createSession(user, {
+      twoFactorVerified: !!user.totp_enabled_at,
+      client: describeClient(req, 'telegram')
+    });
+
+    await db.query('UPDATE users SET last_login = NOW() WHERE id = $1', [user.id]);
+    await logAuthEvent({ userId: user.id, type: 'login_success', ...context, metadata: { method: 'telegram' } });
+
+    res.json({
+      success: true,
+      ...tokens,
+      isNewUser: user.is_new_user,
+      user: formatUser(user)
+    });
+
+  } catch (error) {
+    console.error('Telegram login error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Telegram login failed' 
+    });
+  }
+});
+
+// Exchange refresh token for a new token pair
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Refresh token is required' 
+      });
+    }
+
+    const context = requestContext(req);
+    const result = await rotateRefreshToken(refreshToken, context);
+
+    if (!result) {
       return res.status(401).json({ 
         success: false, 
-        error: 'User not found' 
+        error: 'Invalid or expired refresh token' 
       });
     }
 
+    const { user, ...tokens } = result;
+
+    await logAuthEvent({ userId: user.id, type: 'token_refresh', ...context });
+
     res.json({
       success: true,
-      user: decoded
+      ...tokens
     });
 
   } catch (error) {
-    res.status(401).json({ 
+    console.error('Refresh error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Token refresh failed' 
+    });
+  }
+});
+
+// Logout current session
+router.post('/logout', authenticateUser, async (req, res) => {
+  try {
+    await revokeSession(req.user.sid);
+    await logAuthEvent({ userId: req.user.id, type: 'logout', ...requestContext(req) });
+
+    res.json({
+      success: true,
+      message: 'Logged out'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ 
       success: false, 
-      error: 'Invalid token' 
+      error: 'Logout failed' 
     });
   }
 });
 
+// List active sessions (devices) for the current user
+router.get('/sessions', authenticateUser, async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.user.sid
+      }))
+    });
+
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch sessions' 
+    });
+  }
+});
+
+// Revoke a single session (e.g. a lost phone)
+router.delete('/sessions/:id', authenticateUser, async (req, res) => {
+  try {
+    const revoked = await revokeUserSession(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({ 
+        success: false, 
+        error: 'Session not found' 
+      });
+    }
+
+    await logAuthEvent({ userId: req.user.id, type: 'session_revoked', ...requestContext(req), metadata: { sessionId: req.params.id } });
+
+    res.json({
+      success: true,
+      message: 'Session revoked'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to revoke session' 
+    });
+  }
+});
+
+// Logout everywhere (revoke all sessions)
+router.post('/logout-all', authenticateUser, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(req.user.id);
+    await logAuthEvent({ userId: req.user.id, type: 'logout_all', ...requestContext(req), metadata: { revoked } });
+
+    res.json({
+      success: true,
+      revoked,
+      message: 'Logged out from all devices'
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Logout failed' 
+    });
+  }
+});
+
+// Confirm email address from the link in the verification email
+router.post('/verify-email', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Token is required' 
+      });
+    }
+
+    const userId = await consumeUserToken(token, 'email_verification');
+
+    if (!userId) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invalid or expired verification link' 
+      });
+    }
+
+    await db.query(
+      'UPDATE users SET email_verified_at = NOW() WHERE id = $1',
+      [userId]
+    );
+
+    res.json({
+      success: true,
+      message: 'Email verified'
+    });
+
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Email verification failed' 
+    });
+  }
+});
+
+// Resend verification email
+router.post('/resend-verification', authenticateUser, async (req, res) => {
+  try {
+    if (!req.user.email) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'No email address on this account' 
+      });
+    }
+
+    if (req.user.email_verified_at) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Email already verified' 
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.json({
+      success: true,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to send verification email' 
+    });
+  }
+});
+
+// Request password reset email (also how accounts without a password set one)
+router.post('/forgot-password', async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Email is required' 
+      });
+    }
+
+    const userResult = await db.query(
+      'SELECT id, username, email, password_hash IS NOT NULL AS has_password FROM users WHERE email = $1',
+      [email]
+    );
+
+    if (userResult.rows.length > 0) {
+      await sendPasswordResetEmail(userResult.rows[0]);
+      await logAuthEvent({ userId: userResult.rows[0].id, type: 'password_reset_requested', ...requestContext(req) });
+    }
+
+    // Same response either way so this can't be used to probe for accounts
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent.'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to send reset email' 
+    });
+  }
+});
+
+// Set a new password using the token from the reset email
+router.post('/reset-password', async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Token and password are required' 
+      });
+    }
+
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Password must be at least ${MIN_PASSWORD_LENGTH} characters` 
+      });
+    }
+
+    const userId = await consumeUserToken(token, 'password_reset');
+
+    if (!userId) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invalid or expired reset link' 
+      });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Receiving the reset email proves ownership of the address
+    await db.query(
+      'UPDATE users SET password_hash = $1, email_verified_at = COALESCE(email_verified_at, NOW()) WHERE id = $2',
+      [hashedPassword, userId]
+    );
+
+    // Kick out any session opened with the old password
+    await revokeAllSessions(userId);
+    await logAuthEvent({ userId, type: 'password_changed', ...requestContext(req), metadata: { via: 'reset' } });
+
+    res.json({
+      success: true,
+      message: 'Password updated. Please log in again.'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Password reset failed' 
+    });
+  }
+});
+
+// Start 2FA enrollment - returns secret + otpauth:// URI to render as a QR code
+router.post('/2fa/setup', authenticateUser, throttleStepUp, async (req, res) => {
+  try {
+    if (req.user.totp_enabled_at) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Two-factor authentication is already enabled' 
+      });
+    }
+
+    // Enrolling replaces any pending secret, so re-check who's asking:
+    // the password, or a recent sign-in for accounts without one
+    const userResult = await db.query(
+      'SELECT password_hash FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const passwordHash = userResult.rows[0]?.password_hash;
+
+    if (passwordHash) {
+      if (!(req.body.password && await bcrypt.compare(String(req.body.password), passwordHash))) {
+        await logStepUpFailure(req, 'password_step_up');
+
+        return res.status(401).json({ 
+          success: false, 
+          error: 'Invalid password' 
+        });
+      }
+    } else if (!twoFactor.isVerificationFresh(req.authSession?.created_at)) {
+      return res.status(403).json({ 
+        success: false, 
+        error: 'Sign in again to set up two-factor authentication' 
+      });
+    }
+
+    const { secret, otpauthUrl } = await twoFactor.startEnrollment(req.user);
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code.'
+    });
+
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to start two-factor setup' 
+    });
+  }
+});
+
+// Confirm 2FA enrollment with a first code; returns recovery codes once
+router.post('/2fa/confirm', authenticateUser, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    const recoveryCodes = code && await twoFactor.confirmEnrollment(req.user.id, code);
+
+    if (!recoveryCodes) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Invalid code' 
+      });
+    }
+
+    await twoFactor.markSessionVerified(req.user.sid);
+    await logAuthEvent({ userId: req.user.id, type: '2fa_enabled', ...requestContext(req) });
+
+    res.json({
+      success: true,
+      recoveryCodes,
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe.'
+    });
+
+  } catch (error) {
+    console.error('2FA confirm error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to enable two-factor authentication' 
+    });
+  }
+});
+
+// Step-up: re-check 2FA on the current session before a sensitive action
+router.post('/2fa/verify', authenticateUser, throttleStepUp, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.totp_enabled_at) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Two-factor authentication is not enabled' 
+      });
+    }
+
+    if (!(await twoFactor.verifyCode(req.user.id, code))) {
+      await logStepUpFailure(req, 'two_factor_step_up');
+
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Invalid two-factor code' 
+      });
+    }
+
+    await twoFactor.markSessionVerified(req.user.sid);
+
+    res.json({
+      success: true,
+      message: 'Two-factor verification successful'
+    });
+
+  } catch (error) {
+    console.error('2FA verify error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Two-factor verification failed' 
+    });
+  }
+});
+
+// Replace recovery codes (invalidates the old set)
+router.post('/2fa/recovery-codes', authenticateUser, requireFreshTwoFactor, async (req, res) => {
+  try {
+    if (!req.user.totp_enabled_at) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Two-factor authentication is not enabled' 
+      });
+    }
+
+    const recoveryCodes = await twoFactor.generateRecoveryCodes(req.user.id);
+
+    res.json({
+      success: true,
+      recoveryCodes
+    });
+
+  } catch (error) {
+    console.error('2FA recovery codes error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to generate recovery codes' 
+    });
+  }
+});
+
+// Turn 2FA off (requires a current code)
+router.post('/2fa/disable', authenticateUser, throttleStepUp, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.totp_enabled_at) {
+      return res.status(400).json({ 
+        success: false, 
+        error: 'Two-factor authentication is not enabled' 
+      });
+    }
+
+    if (!(await twoFactor.verifyCode(req.user.id, code))) {
+      await logStepUpFailure(req, 'two_factor_step_up');
+
+      return res.status(401).json({ 
+        success: false, 
+        error: 'Invalid two-factor code' 
+      });
+    }
+
+    await twoFactor.disable(req.user.id);
+    await logAuthEvent({ userId: req.user.id, type: '2fa_disabled', ...requestContext(req) });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to disable two-factor authentication' 
+    });
+  }
+});
+
+// Security activity for the current user
+router.get('/events', authenticateUser, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+    const events = await listAuthEvents(req.user.id, {
+      limit: pageSize,
+      offset: (page - 1) * pageSize
+    });
+
+    res.json({
+      success: true,
+      events,
+      page,
+      limit: pageSize
+    });
+
+  } catch (error) {
+    console.error('Auth events error:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Failed to fetch security activity' 
+    });
+  }
+});
+
+// Verify token
+router.get('/verify', authenticateUser, (req, res) => {
+  res.json({
+    success: true,
+    user: req.user
+  });
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,260 @@
+// routes/bundles.js
+// Note bundles: sellers package several published notes at a discount
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authenticateWithScope } = require('../middleware/auth');
+const {
+  PURCHASABLE_CLAUSE,
+  validateBundle,
+  createBundle,
+  updateBundle,
+  getBundleNotes,
+  findPurchasableBundle
+} = require('../services/bundles');
+const { notifyWishlisters } = require('../services/notifications');
+
+// Combined list price of the bundle's notes, for showing the saving
+const LIST_PRICE_SQL = `(SELECT SUM(n.price_usd) FROM bundle_notes bn JOIN notes n ON bn.note_id = n.id WHERE bn.bundle_id = b.id)`;
+
+// GET /api/bundles - List bundles on sale
+router.get('/', async (req, res) => {
+  try {
+    const { search, seller, subject, page = 1, limit = 20 } = req.query;
+
+    let query = `
+      SELECT b.id, b.title, b.description, b.price_usd, b.created_at,
+        u.username as seller_name,
+        ${LIST_PRICE_SQL} as list_price_usd,
+        (SELECT COUNT(*) FROM bundle_notes bn WHERE bn.bundle_id = b.id) as note_count,
+        (SELECT array_agg(DISTINCT n.subject) FROM bundle_notes bn JOIN notes n ON bn.note_id = n.id WHERE bn.bundle_id = b.id) as subjects
+      FROM bundles b
+      JOIN users u ON b.seller_id = u.id
+      WHERE ${PURCHASABLE_CLAUSE}
+    `;
+
+    const params = [];
+    let paramIndex = 1;
+
+    if (search) {
+      query += ` AND (b.title ILIKE $${paramIndex} OR b.description ILIKE $${paramIndex})`;
+      params.push(`%${search}%`);
+      paramIndex++;
+    }
+
+    if (seller) {
+      query += ` AND u.username = $${paramIndex}`;
+      params.push(seller);
+      paramIndex++;
+    }
+
+    if (subject) {
+      query += ` AND EXISTS (SELECT 1 FROM bundle_notes bn JOIN notes n ON bn.note_id = n.id WHERE bn.bundle_id = b.id AND n.subject = $${paramIndex})`;
+      params.push(subject);
+      paramIndex++;
+    }
+
+    const offset = (page - 1) * limit;
+    query += ` ORDER BY b.created_at DESC LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
+    params.push(limit, offset);
+
+    const result = await db.query(query, params);
+
+    res.json({
+      success: true,
+      bundles: result.rows,
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+  } catch (error) {
+    console.error('List bundles error:', error);
+    res.status(500).json({ error: 'Failed to fetch bundles' });
+  }
+});
+
+// GET /api/bundles/seller/my-bundles - Seller's bundles with sales
+router.get('/seller/my-bundles', authenticateWithScope('notes:read'), async (req, res) => {
+  try {
+    const result = await db.query(`
+      SELECT b.*,
+        ${LIST_PRICE_SQL} as list_price_usd,
+        (SELECT COUNT(DISTINCT stripe_payment_id) FROM purchases WHERE bundle_id = b.id AND status = 'completed') as sales_count,
+        (SELECT SUM(amount_usd - fee_usd) FROM purchases WHERE bundle_id = b.id AND status = 'completed') as total_earnings,
+        (SELECT COUNT(*) FROM wishlist_items WHERE bundle_id = b.id) as wishlist_count
+      FROM bundles b
+      WHERE b.seller_id = $1 AND b.status <> 'removed'
+      ORDER BY b.created_at DESC
+    `, [req.user.id]);
+
+    const bundles = await Promise.all(result.rows.map(async (bundle) => ({
+      ...bundle,
+      notes: await getBundleNotes(bundle.id)
+    })));
+
+    res.json({
+      success: true,
+      bundles
+    });
+
+  } catch (error) {
+    console.error('My bundles error:', error);
+    res.status(500).json({ error: 'Failed to fetch bundles' });
+  }
+});
+
+// GET /api/bundles/:id - Bundle details with its notes
+router.get('/:id', async (req, res) => {
+  try {
+    const bundle = await findPurchasableBundle(req.params.id);
+
+    if (!bundle) {
+      return res.status(404).json({ error: 'Bundle not found' });
+    }
+
+    const sellerResult = await db.query('SELECT username FROM users WHERE id = $1', [bundle.seller_id]);
+    const listPrice = bundle.notes.reduce((sum, note) => sum + parseFloat(note.price_usd), 0);
+
+    res.json({
+      success: true,
+      bundle: {
+        ...bundle,
+        seller_name: sellerResult.rows[0]?.username,
+        list_price_usd: listPrice.toFixed(2),
+        savings_usd: (listPrice - parseFloat(bundle.price_usd)).toFixed(2)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get bundle error:', error);
+    res.status(500).json({ error: 'Failed to fetch bundle' });
+  }
+});
+
+// POST /api/bundles - Create a bundle of your published notes
+router.post('/', authenticateWithScope('notes:write'), async (req, res) => {
+  try {
+    const { title, description, price_usd, noteIds } = req.body;
+
+    if (!title || !String(title).trim() || price_usd === undefined || !Array.isArray(noteIds)) {
+      return res.status(400).json({ error: 'title, price_usd and noteIds are required' });
+    }
+
+    const price = parseFloat(price_usd);
+    const notes = await validateBundle(req.user.id, noteIds, price);
+
+    const bundle = await createBundle(req.user.id, {
+      title: String(title).trim(),
+      description,
+      price
+    }, notes);
+
+    res.json({
+      success: true,
+      bundle: { ...bundle, notes }
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Create bundle error:', error);
+    res.status(500).json({ error: 'Failed to create bundle' });
+  }
+});
+
+// PATCH /api/bundles/:id - Edit title, description, price, notes or status
+router.patch('/:id', authenticateWithScope('notes:write'), async (req, res) => {
+  try {
+    const { title, description, price_usd, noteIds, status } = req.body;
+
+    if (status !== undefined && !['published', 'unpublished'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be published or unpublished' });
+    }
+
+    if (title !== undefined && !String(title).trim()) {
+      return res.status(400).json({ error: 'Title cannot be empty' });
+    }
+
+    if (noteIds !== undefined && !Array.isArray(noteIds)) {
+      return res.status(400).json({ error: 'noteIds must be an array' });
+    }
+
+    const bundleResult = await db.query(
+      `SELECT * FROM bundles WHERE id = $1 AND seller_id = $2 AND status <> 'removed'`,
+      [req.params.id, req.user.id]
+    );
+
+    if (bundleResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Bundle not found' });
+    }
+
+    const bundle = bundleResult.rows[0];
+    const price = price_usd !== undefined ? parseFloat(price_usd) : undefined;
+
+    // New notes or a new price must still add up to a discount
+    let notes = null;
+    if (noteIds !== undefined || price !== undefined) {
+      const currentNoteIds = (await getBundleNotes(bundle.id)).map(note => note.id);
+      notes = await validateBundle(req.user.id, noteIds || currentNoteIds, price ?? parseFloat(bundle.price_usd));
+    }
+
+    const updated = await updateBundle(bundle.id, {
+      title: title && String(title).trim(),
+      description,
+      price,
+      status
+    }, noteIds ? notes : null);
+
+    if (price < parseFloat(bundle.price_usd) && updated.status === 'published') {
+      await notifyWishlisters({ bundleIds: [bundle.id] }, {
+        type: 'wishlist_price_drop',
+        title: `Price drop: "${updated.title}"`,
+        body: `Now $${price.toFixed(2)} (was $${parseFloat(bundle.price_usd).toFixed(2)}).`,
+        data: { bundleId: bundle.id, oldPrice: bundle.price_usd, newPrice: updated.price_usd }
+      });
+    }
+
+    res.json({
+      success: true,
+      bundle: { ...updated, notes: await getBundleNotes(bundle.id) }
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Edit bundle error:', error);
+    res.status(500).json({ error: 'Failed to update bundle' });
+  }
+});
+
+// DELETE /api/bundles/:id - Take a bundle down for good (buyers keep their notes)
+router.delete('/:id', authenticateWithScope('notes:write'), async (req, res) => {
+  try {
+    const result = await db.query(
+      `UPDATE bundles SET status = 'removed'
+       WHERE id = $1 AND seller_id = $2 AND status <> 'removed'
+       RETURNING id, title, status`,
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Bundle not found' });
+    }
+
+    res.json({
+      success: true,
+      bundle: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Delete bundle error:', error);
+    res.status(500).json({ error: 'Failed to delete bundle' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,235 @@
+// routes/coupons.js
+// Seller coupon codes (seller-wide, one note or one bundle), redeemed at checkout
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authenticateWithScope } = require('../middleware/auth');
+const { findPurchasableBundle, getUnownedNotes } = require('../services/bundles');
+const { applyDiscount, bundlePriceFor } = require('../services/pricing');
+const {
+  validateCouponInput,
+  findApplicableCoupon,
+  listSellerCoupons,
+  notifyCouponWishlisters
+} = require('../services/coupons');
+
+// GET /api/coupons - Your coupons with redemption counts
+router.get('/', authenticateWithScope('notes:read'), async (req, res) => {
+  try {
+    const coupons = await listSellerCoupons(req.user.id);
+
+    res.json({
+      success: true,
+      coupons
+    });
+
+  } catch (error) {
+    console.error('List coupons error:', error);
+    res.status(500).json({ error: 'Failed to fetch coupons' });
+  }
+});
+
+// POST /api/coupons - Create a coupon
+router.post('/', authenticateWithScope('notes:write'), async (req, res) => {
+  try {
+    const coupon = await validateCouponInput(req.user.id, req.body);
+
+    const result = await db.query(`
+      INSERT INTO coupons (
+        seller_id, code, scope, note_id, bundle_id, discount_type, discount_value,
+        starts_at, expires_at, max_redemptions, per_user_limit
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (seller_id, code) DO NOTHING
+      RETURNING *
+    `, [
+      req.user.id,
+      coupon.code,
+      coupon.scope,
+      coupon.noteId,
+      coupon.bundleId,
+      coupon.discountType,
+      coupon.discountValue,
+      coupon.startsAt,
+      coupon.expiresAt,
+      coupon.maxRedemptions,
+      coupon.perUserLimit
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: `You already have a coupon with code ${coupon.code}` });
+    }
+
+    await notifyCouponWishlisters(result.rows[0]);
+
+    res.json({
+      success: true,
+      coupon: result.rows[0]
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Create coupon error:', error);
+    res.status(500).json({ error: 'Failed to create coupon' });
+  }
+});
+
+// PATCH /api/coupons/:id - Change the validity window, limits or active flag
+router.patch('/:id', authenticateWithScope('notes:write'), async (req, res) => {
+  try {
+    const { active, startsAt, expiresAt, maxRedemptions, perUserLimit } = req.body;
+
+    const existing = await db.query(
+      'SELECT * FROM coupons WHERE id = $1 AND seller_id = $2',
+      [req.params.id, req.user.id]
+    );
+
+    if (existing.rows.length === 0) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    const current = existing.rows[0];
+
+    // Re-validate the merged coupon; code, scope and discount stay as created
+    const coupon = await validateCouponInput(req.user.id, {
+      code: current.code,
+      scope: current.scope,
+      noteId: current.note_id,
+      bundleId: current.bundle_id,
+      discountType: current.discount_type,
+      discountValue: current.discount_value,
+      startsAt: startsAt !== undefined ? startsAt : current.starts_at,
+      expiresAt: expiresAt !== undefined ? expiresAt : current.expires_at,
+      maxRedemptions: maxRedemptions !== undefined ? maxRedemptions : current.max_redemptions,
+      perUserLimit: perUserLimit !== undefined ? perUserLimit : current.per_user_limit
+    });
+
+    const result = await db.query(`
+      UPDATE coupons SET
+        starts_at = $2,
+        expires_at = $3,
+        max_redemptions = $4,
+        per_user_limit = $5,
+        active = COALESCE($6, active)
+      WHERE id = $1
+      RETURNING *
+    `, [
+      current.id,
+      coupon.startsAt,
+      coupon.expiresAt,
+      coupon.maxRedemptions,
+      coupon.perUserLimit,
+      typeof active === 'boolean' ? active : null
+    ]);
+
+    if (!current.active && result.rows[0].active) {
+      await notifyCouponWishlisters(result.rows[0]);
+    }
+
+    res.json({
+      success: true,
+      coupon: result.rows[0]
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    console.error('Edit coupon error:', error);
+    res.status(500).json({ error: 'Failed to update coupon' });
+  }
+});
+
+// DELETE /api/coupons/:id - Deactivate a coupon (kept for purchase history)
+router.delete('/:id', authenticateWithScope('notes:write'), async (req, res) => {
+  try {
+    const result = await db.query(
+      `UPDATE coupons SET active = false
+       WHERE id = $1 AND seller_id = $2
+       RETURNING id, code, active`,
+      [req.params.id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+
+    res.json({
+      success: true,
+      coupon: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({ error: 'Failed to delete coupon' });
+  }
+});
+
+// POST /api/coupons/validate - Preview a code's price for a note or bundle before checkout
+router.post('/validate', authenticateWithScope('purchases:read'), async (req, res) => {
+  try {
+    const { code, noteId, bundleId } = req.body;
+
+    if (!code || (!noteId && !bundleId)) {
+      return res.status(400).json({ error: 'code and noteId or bundleId are required' });
+    }
+
+    let item = null;
+
+    if (bundleId) {
+      item = await findPurchasableBundle(bundleId);
+    } else {
+      const noteResult = await db.query(
+        `SELECT id, seller_id, price_usd FROM notes WHERE id = $1 AND status = 'published'`,
+        [noteId]
+      );
+      item = noteResult.rows[0] || null;
+    }
+
+    if (!item) {
+      return res.status(404).json({ error: 'Item not found or not available' });
+    }
+
+    const coupon = await findApplicableCoupon({
+      code,
+      sellerId: item.seller_id,
+      noteId: bundleId ? null : item.id,
+      bundleId: bundleId ? item.id : null,
+      userId: req.user.id
+    });
+
+    // Bundles are priced for the notes the buyer doesn't own yet, as at checkout
+    const price = bundleId
+      ? bundlePriceFor(
+        parseFloat(item.price_usd),
+        item.notes.map(note => parseFloat(note.price_usd)),
+        (await getUnownedNotes(item, req.user.id)).map(note => parseFloat(note.price_usd))
+      )
+      : parseFloat(item.price_usd);
+    const { discount, total } = applyDiscount(coupon, price);
+
+    res.json({
+      success: true,
+      valid: true,
+      code: coupon.code,
+      price: price.toFixed(2),
+      discount: discount.toFixed(2),
+      total: total.toFixed(2)
+    });
+
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({ valid: false, error: error.message });
+    }
+
+    console.error('Validate coupon error:', error);
+    res.status(500).json({ error: 'Failed to validate coupon' });
+  }
+});
+
+module.exports = router;
@@ -2,12 +2,12 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db'); // Your database connection
+const { authenticateUser } = require('../middleware/auth');
 
 // GET /api/gamification/stats
-router.get('/stats', async (req, res) => {
+router.get('/stats', authenticateUser, async (req, res) => {
   try {
-    // Get user ID from token (you need to implement auth middleware)
-    const userId = req.user?.id || 1; // Default for testing
+    const userId = req.user.id;
     
     // Query database for user stats
     const statsResult = await db.query(`
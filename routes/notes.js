@@ -4,14 +4,29 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
+const rateLimit = require('express-rate-limit');
 const path = require('path');
-const fs = require('fs');
+const crypto = require('crypto');
 const db = require('../db');
-const { authenticateUser } = require('./auth');
-
-// --------------------------
-// 1. Multer setup must come first
-// --------------------------
+const storage = require('../services/storage');
+const { findCompletedPurchase } = require('../services/noteAccess');
+const { createDownloadUrl, verifyDownloadSignature } = require('../services/downloadLinks');
+const { fingerprintFor, watermarkFile } = require('../services/watermark');
+const {
+  storeNoteFile,
+  discardStoredFiles,
+  createRevision,
+  listRevisions,
+  findRevisionFile
+} = require('../services/noteRevisions');
+const { buildCatalogFilters, getFacets, suggest } = require('../services/search');
+const { logSearch, recordSearchClick } = require('../services/searchLog');
+const { notifyNotePriceDrop } = require('../services/notifications');
+const { findRelatedNotes, findRecommendedNotes } = require('../services/recommendations');
+const { scoreColumn, recordNoteView, getTrendingBySubject } = require('../services/trending');
+const { authenticateWithScope, optionalAuthWithScope } = require('../middleware/auth');
+
+// Uploads are kept in memory, then handed to the storage driver
 const upload = multer({
   storage: multer.memoryStorage(),
   limits: {
@@ -27,124 +42,107 @@ const upload = multer({
   }
 });
 
-// --------------------------
-// 2. File storage folder (Railway volume)
-// --------------------------
-const FILES_DIR = process.env.FILES_DIR || '/data/files';
-if (!fs.existsSync(FILES_DIR)) {
-  fs.mkdirSync(FILES_DIR, { recursive: true });
-}
-
-// --------------------------
-// 3. Routes using `upload`
-// --------------------------
-router.post('/upload', authenticateUser, upload.single('file'), async (req, res) => {
-  const file = req.file;
-  if (!file) return res.status(400).json({ error: 'No file uploaded' });
-
-  const filename = `${Date.now()}-${file.originalname}`;
-  const savePath = path.join(FILES_DIR, filename);
-
-  // Write file to disk
-  fs.writeFileSync(savePath, file.buffer);
-
-  // Save file info in database
-  const { title, description, subject, level, price_usd, tags } = req.body;
-  const result = await db.query(
-    `INSERT INTO notes (seller_id, title, description, subject, level, price_usd, savePath, tags, status)
-     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
-    [
-      req.user.id,
-      title,
-      description,
-      subject,
-      level || 'undergraduate',
-      parseFloat(price_usd),
-      savePath,
-      tags ? tags.split(',') : [],
-      'pending'
-    ]
-  );
-  res.json({ success: true, note: result.rows[0] });
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Click logging is unauthenticated; keep one client from skewing analytics
+const searchClickLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 20
 });
 
-// GET /api/notes - List all published notes with filters
+// notes.purchase_count isn't kept up to date, so purchases are counted live
+const PURCHASE_COUNT = '(SELECT COUNT(*) FROM purchases WHERE note_id = n.id)';
+
+// ?sort= values, qualified so they don't clash with the aliases next to n.*
+const SORT_COLUMNS = {
+  created_at: 'n.created_at',
+  price_usd: 'n.price_usd',
+  purchase_count: PURCHASE_COUNT,
+  avg_rating: 'n.avg_rating'
+};
+
+// Seller-side entry in the note's moderation history
+const logSellerAction = async (noteId, action, notes) => {
+  await db.query(
+    `INSERT INTO note_moderation_log (note_id, moderator_id, action, notes)
+     VALUES ($1, NULL, $2, $3)`,
+    [noteId, action, notes || null]
+  );
+};
+
+// GET /api/notes - Search/list published notes with filters and facet counts
 router.get('/', async (req, res) => {
   try {
     const {
       search,
       subject,
       level,
+      country,
+      type,
       min_price,
       max_price,
-      sort = 'created_at',
+      sort = search ? 'relevance' : 'created_at',
       order = 'DESC',
       page = 1,
       limit = 20
     } = req.query;
 
+    const filters = { search: search && search.trim(), subject, level, country, type, min_price, max_price };
+    const { where, params, paramIndex, rank } = buildCatalogFilters(filters);
+
     let query = `
       SELECT n.*, u.username as seller_name,
-        (SELECT AVG(rating) FROM reviews WHERE note_id = n.id) as avg_rating,
-        (SELECT COUNT(*) FROM purchases WHERE note_id = n.id) as purchase_count
+        ${PURCHASE_COUNT} as purchase_count,
+        COALESCE(ns.trending_score, 0) as trending_score,
+        COALESCE(ns.hot_score, 0) as hot_score${rank ? `,
+        ${rank} as relevance` : ''}
       FROM notes n
       JOIN users u ON n.seller_id = u.id
-      WHERE n.status = 'published'
+      LEFT JOIN note_scores ns ON ns.note_id = n.id
+      WHERE ${where}
     `;
-    
-    const params = [];
-    let paramIndex = 1;
-
-    // Add search filter
-    if (search) {
-      query += ` AND (n.title ILIKE $${paramIndex} OR n.description ILIKE $${paramIndex})`;
-      params.push(`%${search}%`);
-      paramIndex++;
-    }
-
-    // Add subject filter
-    if (subject) {
-      query += ` AND n.subject = $${paramIndex}`;
-      params.push(subject);
-      paramIndex++;
-    }
-
-    // Add level filter
-    if (level) {
-      query += ` AND n.level = $${paramIndex}`;
-      params.push(level);
-      paramIndex++;
-    }
 
-    // Add price filters
-    if (min_price) {
-      query += ` AND n.price_usd >= $${paramIndex}`;
-      params.push(min_price);
-      paramIndex++;
-    }
+    // Add sorting
+    const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
 
-    if (max_price) {
-      query += ` AND n.price_usd <= $${paramIndex}`;
-      params.push(max_price);
-      paramIndex++;
+    if (sort === 'relevance' && rank) {
+      query += ' ORDER BY relevance DESC, n.created_at DESC';
+    } else if (scoreColumn(sort)) {
+      // sort=trending (last few days) or sort=hot (last few hours)
+      query += ` ORDER BY ${scoreColumn(sort)} ${sortOrder}, n.created_at DESC`;
+    } else {
+      const sortField = Object.hasOwn(SORT_COLUMNS, sort) ? SORT_COLUMNS[sort] : SORT_COLUMNS.created_at;
+      query += ` ORDER BY ${sortField} ${sortOrder}`;
     }
 
-    // Add sorting
-    const validSorts = ['created_at', 'price_usd', 'purchase_count', 'avg_rating'];
-    const sortField = validSorts.includes(sort) ? sort : 'created_at';
-    const sortOrder = order.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
-    query += ` ORDER BY ${sortField} ${sortOrder}`;
-    
     // Add pagination
     const offset = (page - 1) * limit;
     query += ` LIMIT $${paramIndex} OFFSET $${paramIndex + 1}`;
-    params.push(limit, offset);
 
-    const result = await db.query(query, params);
+    const [result, countResult, facets] = await Promise.all([
+      db.query(query, [...params, limit, offset]),
+      db.query(`SELECT COUNT(*) as total FROM notes n WHERE ${where}`, params),
+      getFacets(filters)
+    ]);
+
+    const total = parseInt(countResult.rows[0].total);
+
+    // Log searches (not page turns) for suggestions and search analytics
+    let searchId = null;
+    if (parseInt(page) === 1 && (filters.search || subject || level || country || type)) {
+      searchId = await logSearch({
+        query: filters.search,
+        filters: Object.fromEntries(Object.entries({ subject, level, country, type, min_price, max_price }).filter(([, value]) => value)),
+        resultCount: total
+      });
+    }
 
     res.json({
       success: true,
       notes: result.rows,
+      total,
+      facets,
+      searchId,
       page: parseInt(page),
       limit: parseInt(limit)
     });
@@ -155,16 +153,131 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/notes/suggest?q= - Autocomplete for the search box
+router.get('/suggest', async (req, res) => {
+  try {
+    const q = (req.query.q || '').trim();
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 20);
+
+    if (q.length < 2) {
+      return res.json({ success: true, suggestions: [] });
+    }
+
+    const suggestions = await suggest(q.substring(0, 100), { limit });
+
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({
+      success: true,
+      suggestions: suggestions.map(({ text, type }) => ({ text, type }))
+    });
+
+  } catch (error) {
+    console.error('Suggest error:', error);
+    res.status(500).json({ error: 'Failed to fetch suggestions' });
+  }
+});
+
+// POST /api/notes/search/:searchId/click - Record which result a search led to
+router.post('/search/:searchId/click', searchClickLimiter, async (req, res) => {
+  try {
+    const { noteId } = req.body;
+
+    if (!UUID_PATTERN.test(req.params.searchId)) {
+      return res.status(400).json({ error: 'Invalid search id' });
+    }
+
+    if (typeof noteId !== 'string' || !UUID_PATTERN.test(noteId)) {
+      return res.status(400).json({ error: 'noteId must be a note id' });
+    }
+
+    const recorded = await recordSearchClick(req.params.searchId, noteId);
+
+    res.json({ success: true, recorded });
+
+  } catch (error) {
+    console.error('Search click error:', error);
+    res.status(500).json({ error: 'Failed to record click' });
+  }
+});
+
+// GET /api/notes/trending - Trending notes per subject (?window=trending|hot, subject, level, country)
+router.get('/trending', async (req, res) => {
+  try {
+    const { window = 'trending', subject, level, country } = req.query;
+
+    if (!scoreColumn(window)) {
+      return res.status(400).json({ error: 'window must be trending or hot' });
+    }
+
+    const subjects = await getTrendingBySubject({
+      window,
+      subject: subject || null,
+      level: level || null,
+      country: country || null,
+      perSubject: Math.min(Math.max(parseInt(req.query.limit) || (subject ? 20 : 5), 1), 50)
+    });
+
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json({
+      success: true,
+      window,
+      subjects
+    });
+
+  } catch (error) {
+    console.error('Trending error:', error);
+    res.status(500).json({ error: 'Failed to fetch trending notes' });
+  }
+});
+
+// GET /api/notes/recommended - Personalized picks (purchases, wishlist, AI tool topics)
+router.get('/recommended', authenticateWithScope('notes:read'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+    const notes = await findRecommendedNotes(req.user, { limit });
+
+    res.json({
+      success: true,
+      notes
+    });
+
+  } catch (error) {
+    console.error('Recommendations error:', error);
+    res.status(500).json({ error: 'Failed to fetch recommendations' });
+  }
+});
+
+// GET /api/notes/:id/related - "Buyers also bought" and similar notes
+router.get('/:id/related', optionalAuthWithScope('notes:read'), async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 50);
+
+    const notes = await findRelatedNotes(req.params.id, { user: req.user, limit });
+
+    if (!notes) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    res.json({
+      success: true,
+      notes
+    });
+
+  } catch (error) {
+    console.error('Related notes error:', error);
+    res.status(500).json({ error: 'Failed to fetch related notes' });
+  }
+});
+
 // GET /api/notes/:id - Get single note details
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuthWithScope('notes:read'), async (req, res) => {
   try {
     const { id } = req.params;
     
     const result = await db.query(`
       SELECT n.*, u.username as seller_name, u.id as seller_id,
-        (SELECT AVG(rating) FROM reviews WHERE note_id = n.id) as avg_rating,
-        (SELECT COUNT(*) FROM reviews WHERE note_id = n.id) as review_count,
-        (SELECT COUNT(*) FROM purchases WHERE note_id = n.id) as purchase_count
+        ${PURCHASE_COUNT} as purchase_count
       FROM notes n
       JOIN users u ON n.seller_id = u.id
       WHERE n.id = $1 AND n.status = 'published'
@@ -174,6 +287,9 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Note not found' });
     }
 
+    // Counted for trending; don't hold up the response
+    recordNoteView(id, { userId: req.user?.id, ip: req.ip });
+
     res.json({
       success: true,
       note: result.rows[0]
@@ -186,7 +302,7 @@ router.get('/:id', async (req, res) => {
 });
 
 // POST /api/notes/upload - Upload new note for sale
-router.post('/upload', authenticateUser, upload.single('file'), async (req, res) => {
+router.post('/upload', authenticateWithScope('notes:write'), upload.single('file'), async (req, res) => {
   try {
     const { title, description, subject, level, price_usd, tags } = req.body;
     const file = req.file;
@@ -209,28 +325,46 @@ router.post('/upload', authenticateUser, upload.single('file'), async (req, res)
       return res.status(400).json({ error: 'Maximum price is $99.99' });
     }
 
+    const noteId = crypto.randomUUID();
 
+    // Store the file with its thumbnail and preview; the note keeps only storage keys
+    const stored = await storeNoteFile(file);
 
-
-    // Insert note into database
+    // Insert note into database, with the file as its first revision
     const result = await db.query(`
-      INSERT INTO notes (
-        seller_id, title, description, subject, level, 
-        price_usd, file_url, tags, status
+      WITH note AS (
+        INSERT INTO notes (
+          id, seller_id, title, description, subject, level,
+          price_usd, file_url, tags, status,
+          pages, thumbnail_url, thumbnail_key, preview_key, preview_pages
+        )
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+        RETURNING *
+      ), revision AS (
+        INSERT INTO note_revisions (note_id, revision_number, file_url, thumbnail_key, preview_key, preview_pages, pages, status)
+        SELECT id, 1, file_url, thumbnail_key, preview_key, preview_pages, pages, 'pending' FROM note
       )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
-      RETURNING *
+      SELECT * FROM note
     `, [
+      noteId,
       req.user.id,
       title,
       description,
       subject,
       level || 'undergraduate',
       price,
-      fileUrl,
+      stored.fileKey,
       tags ? tags.split(',') : [],
-      'pending' // Requires admin approval
-    ]);
+      'pending', // Requires admin approval
+      stored.pages,
+      stored.thumbnailKey ? `/api/notes/${noteId}/thumbnail` : null,
+      stored.thumbnailKey,
+      stored.previewKey,
+      stored.previewPages
+    ]).catch(async (error) => {
+      await discardStoredFiles(stored);
+      throw error;
+    });
 
     res.json({
       success: true,
@@ -244,24 +378,110 @@ router.post('/upload', authenticateUser, upload.single('file'), async (req, res)
   }
 });
 
-// GET /api/notes/:id/download - Generate signed download URL for purchased note
-router.get('/:id/download', authenticateUser, async (req, res) => {
+// Serve a published note's generated asset (thumbnail or preview) publicly
+const sendListingAsset = (column, label) => async (req, res) => {
+  try {
+    const result = await db.query(
+      `SELECT ${column} AS asset_key FROM notes WHERE id = $1 AND status = 'published'`,
+      [req.params.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const assetKey = result.rows[0].asset_key;
+
+    if (!assetKey) {
+      return res.status(404).json({ error: `No ${label} available for this note` });
+    }
+
+    let fileStream;
+    try {
+      fileStream = await storage.stream(assetKey);
+    } catch (error) {
+      return res.status(404).json({ error: `No ${label} available for this note` });
+    }
+
+    res.type(storage.contentTypeFor(assetKey));
+    res.set('Content-Disposition', 'inline');
+    res.set('Cache-Control', 'public, max-age=3600');
+    fileStream.on('error', (error) => {
+      console.error(`Note ${label} stream error:`, error);
+      res.destroy(error);
+    });
+    fileStream.pipe(res);
+
+  } catch (error) {
+    console.error(`Note ${label} error:`, error);
+    res.status(500).json({ error: `Failed to load ${label}` });
+  }
+};
+
+// GET /api/notes/:id/preview - Free low-resolution preview of the first pages
+router.get('/:id/preview', sendListingAsset('preview_key', 'preview'));
+
+// GET /api/notes/:id/thumbnail - Listing thumbnail
+router.get('/:id/thumbnail', sendListingAsset('thumbnail_key', 'thumbnail'));
+
+// GET /api/notes/:id/download?revision= - Issue a short-lived signed link for a
+// purchased note: the latest revision, or an older approved one
+router.get('/:id/download', authenticateWithScope('notes:read'), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if user purchased this note
-    const purchaseCheck = await db.query(
-      'SELECT * FROM purchases WHERE note_id = $1 AND buyer_id = $2 AND status = $3',
-      [id, req.user.id, 'completed']
-    );
+    const purchase = await findCompletedPurchase(id, req.user.id);
 
-    if (purchaseCheck.rows.length === 0) {
+    if (!purchase) {
+      return res.status(403).json({ error: 'Purchase required to download' });
+    }
+
+    let revision;
+    if (req.query.revision !== undefined) {
+      revision = parseInt(req.query.revision);
+
+      if (!(revision > 0) || !(await findRevisionFile(id, revision))) {
+        return res.status(404).json({ error: 'Revision not found' });
+      }
+    }
+
+    const { url, expiresIn } = createDownloadUrl(req, id, req.user.id, { revision });
+
+    res.json({
+      success: true,
+      downloadUrl: url,
+      revision: revision || null,
+      expiresIn
+    });
+
+  } catch (error) {
+    console.error('Download error:', error);
+    res.status(500).json({ error: 'Download failed' });
+  }
+});
+
+// GET /api/notes/:id/file?buyer=&expires=&revision=&sig= - Stream the file behind a signed link.
+// No Authorization header: the signature is the credential, but the purchase
+// is re-checked so refunded buyers lose access immediately.
+router.get('/:id/file', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const buyerId = verifyDownloadSignature(id, req.query);
+
+    if (!buyerId) {
+      return res.status(403).json({ error: 'Download link is invalid or has expired' });
+    }
+
+    const purchase = await findCompletedPurchase(id, buyerId);
+
+    if (!purchase) {
       return res.status(403).json({ error: 'Purchase required to download' });
     }
 
-    // Get note file URL
     const noteResult = await db.query(
-      'SELECT file_url FROM notes WHERE id = $1',
+      'SELECT title, file_url, current_revision FROM notes WHERE id = $1',
       [id]
     );
 
@@ -269,36 +489,416 @@ router.get('/:id/download', authenticateUser, async (req, res) => {
       return res.status(404).json({ error: 'Note not found' });
     }
 
-    const filePath = path.join(__dirname, '..', noteResult.rows[0].file_url);
+    const { title, current_revision: currentRevision } = noteResult.rows[0];
+    const revision = req.query.revision ? parseInt(req.query.revision) : currentRevision;
+    const fileKey = req.query.revision
+      ? await findRevisionFile(id, revision)
+      : noteResult.rows[0].file_url;
 
-if (!fs.existsSync(filePath)) {
-  return res.status(404).json({ error: 'File not found' });
-}
+    if (!fileKey) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
 
-res.download(filePath);
+    let fileBuffer;
+    try {
+      fileBuffer = await storage.get(fileKey);
+    } catch (error) {
+      console.error('Download file missing:', fileKey, error.message);
+      return res.status(404).json({ error: 'File not found' });
+    }
+
+    // Stamp the copy with the buyer and a fingerprint we can trace if it leaks.
+    // Once recorded it's reused, so it doesn't depend on the key staying put.
+    const fingerprint = purchase.fingerprint || fingerprintFor(purchase.id);
+    await db.query(
+      'UPDATE purchases SET fingerprint = $1 WHERE id = $2 AND fingerprint IS NULL',
+      [fingerprint, purchase.id]
+    );
+
+    const buyerResult = await db.query('SELECT username FROM users WHERE id = $1', [buyerId]);
+    const contentType = storage.contentTypeFor(fileKey);
+
+    let stamped;
+    try {
+      stamped = await watermarkFile(fileBuffer, contentType, {
+        username: buyerResult.rows[0]?.username || 'buyer',
+        purchaseId: purchase.id,
+        date: purchase.created_at,
+        fingerprint
+      });
+    } catch (error) {
+      // Never hand out an unmarked copy
+      console.error(`Watermark error (purchase ${purchase.id}):`, error);
+      return res.status(500).json({ error: 'Could not prepare this file for download' });
+    }
 
+    const baseName = title.replace(/[^\w\s.-]/g, '').trim() || 'note';
+    res.attachment(`${baseName}${revision > 1 ? ` (rev ${revision})` : ''}${path.extname(fileKey)}`);
+    res.type(contentType);
+    res.set('Cache-Control', 'private, no-store');
+    res.send(stamped);
+
+  } catch (error) {
+    console.error('File stream error:', error);
+    res.status(500).json({ error: 'Download failed' });
+  }
+});
+
+// POST /api/notes/:id/resubmit - Send a rejected note back to moderation,
+// optionally fixing its details first
+router.post('/:id/resubmit', authenticateWithScope('notes:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { title, description, subject, level, price_usd, tags } = req.body;
+
+    if (price_usd !== undefined) {
+      const price = parseFloat(price_usd);
+      if (!(price >= 0.99 && price <= 99.99)) {
+        return res.status(400).json({ error: 'Price must be between $0.99 and $99.99' });
+      }
+    }
+
+    const result = await db.query(`
+      UPDATE notes SET
+        title = COALESCE($3, title),
+        description = COALESCE($4, description),
+        subject = COALESCE($5, subject),
+        level = COALESCE($6, level),
+        price_usd = COALESCE($7, price_usd),
+        tags = COALESCE($8, tags),
+        status = 'pending'
+      WHERE id = $1 AND seller_id = $2 AND status = 'rejected'
+      RETURNING *
+    `, [
+      id,
+      req.user.id,
+      title || null,
+      description || null,
+      subject || null,
+      level || null,
+      price_usd !== undefined ? parseFloat(price_usd) : null,
+      tags ? (Array.isArray(tags) ? tags : tags.split(',')) : null
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Only your rejected notes can be resubmitted' });
+    }
+
+    await logSellerAction(id, 'resubmitted');
 
     res.json({
       success: true,
-      downloadUrl: signedUrl,
-      expiresIn: 3600
+      note: result.rows[0],
+      message: 'Note resubmitted for review.'
     });
 
   } catch (error) {
-    console.error('Download error:', error);
-    res.status(500).json({ error: 'Download failed' });
+    console.error('Resubmit error:', error);
+    res.status(500).json({ error: 'Failed to resubmit note' });
+  }
+});
+
+// POST /api/notes/:id/revisions - Upload a new version of a note's file
+router.post('/:id/revisions', authenticateWithScope('notes:write'), upload.single('file'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const changelog = (req.body.changelog || '').trim();
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file uploaded' });
+    }
+
+    if (!changelog) {
+      return res.status(400).json({ error: 'A changelog describing what changed is required' });
+    }
+
+    const noteResult = await db.query(
+      `SELECT id FROM notes
+       WHERE id = $1 AND seller_id = $2 AND status IN ('published', 'unpublished')`,
+      [id, req.user.id]
+    );
+
+    if (noteResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Only your approved notes can get new revisions' });
+    }
+
+    const revision = await createRevision(id, req.file, changelog.substring(0, 5000));
+
+    res.json({
+      success: true,
+      revision,
+      message: `Revision ${revision.revision_number} submitted for review. Buyers keep the current version until it is approved.`
+    });
+
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ error: error.message });
+    }
+
+    console.error('Create revision error:', error);
+    res.status(500).json({ error: 'Failed to upload revision' });
+  }
+});
+
+// GET /api/notes/:id/revisions - Changelog. Sellers also see pending and rejected revisions.
+router.get('/:id/revisions', authenticateWithScope('notes:read'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const noteResult = await db.query(
+      `SELECT seller_id, status, current_revision FROM notes WHERE id = $1`,
+      [id]
+    );
+
+    const note = noteResult.rows[0];
+    const isSeller = note && note.seller_id === req.user.id;
+
+    // Buyers can still see the changelog of notes taken off the marketplace
+    if (!note || (!isSeller && note.status !== 'published' && !(await findCompletedPurchase(id, req.user.id)))) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const revisions = await listRevisions(id, { includeUnapproved: isSeller });
+
+    res.json({
+      success: true,
+      currentRevision: note.current_revision,
+      revisions
+    });
+
+  } catch (error) {
+    console.error('List revisions error:', error);
+    res.status(500).json({ error: 'Failed to fetch revisions' });
+  }
+});
+
+// Metadata a seller may edit. Everything but the price is shown to buyers as
+// content, so changing it sends a published note back to moderation.
+const EDITABLE_FIELDS = ['title', 'description', 'subject', 'level', 'country', 'type', 'genre', 'price_usd', 'tags'];
+const REVIEWED_FIELDS = EDITABLE_FIELDS.filter(field => field !== 'price_usd');
+
+// PATCH /api/notes/:id - Edit a note's details
+router.patch('/:id', authenticateWithScope('notes:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const noteResult = await db.query(
+      `SELECT * FROM notes WHERE id = $1 AND seller_id = $2 AND status <> 'removed'`,
+      [id, req.user.id]
+    );
+
+    if (noteResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const note = noteResult.rows[0];
+    const updates = {};
+
+    for (const field of EDITABLE_FIELDS) {
+      if (req.body[field] === undefined) {
+        continue;
+      }
+
+      let value = req.body[field];
+
+      if (field === 'price_usd') {
+        value = parseFloat(value);
+        if (!(value >= 0.99 && value <= 99.99)) {
+          return res.status(400).json({ error: 'Price must be between $0.99 and $99.99' });
+        }
+      } else if (field === 'tags') {
+        value = (Array.isArray(value) ? value : String(value).split(','))
+          .map(tag => String(tag).trim())
+          .filter(Boolean);
+      } else if (field === 'title' && !String(value).trim()) {
+        return res.status(400).json({ error: 'Title cannot be empty' });
+      }
+
+      const current = field === 'price_usd' ? parseFloat(note.price_usd) : note[field];
+      if (JSON.stringify(value) !== JSON.stringify(current)) {
+        updates[field] = value;
+      }
+    }
+
+    const changedFields = Object.keys(updates);
+
+    if (changedFields.length === 0) {
+      return res.json({ success: true, note, reviewRequired: false, message: 'Nothing to update.' });
+    }
+
+    const reviewRequired = note.status === 'published' && changedFields.some(field => REVIEWED_FIELDS.includes(field));
+
+    const setClauses = [];
+    const params = [id];
+    let paramIndex = 2;
+
+    for (const field of changedFields) {
+      setClauses.push(`${field} = $${paramIndex}`);
+      params.push(updates[field]);
+      paramIndex++;
+    }
+
+    if (reviewRequired) {
+      setClauses.push(`status = 'pending'`);
+    }
+
+    const result = await db.query(
+      `UPDATE notes SET ${setClauses.join(', ')} WHERE id = $1 RETURNING *`,
+      params
+    );
+
+    await logSellerAction(id, 'edited', `Changed: ${changedFields.join(', ')}`);
+
+    const updated = result.rows[0];
+
+    // Edits that need review notify on approval instead (routes/admin.js)
+    await notifyNotePriceDrop(updated, note.listed_price_usd);
+
+    res.json({
+      success: true,
+      note: updated,
+      reviewRequired,
+      message: reviewRequired
+        ? 'Changes saved. The note is hidden until a moderator approves them.'
+        : 'Changes saved.'
+    });
+
+  } catch (error) {
+    console.error('Edit note error:', error);
+    res.status(500).json({ error: 'Failed to update note' });
+  }
+});
+
+// POST /api/notes/:id/unpublish - Take a published note off the marketplace
+router.post('/:id/unpublish', authenticateWithScope('notes:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      `UPDATE notes SET status = 'unpublished'
+       WHERE id = $1 AND seller_id = $2 AND status = 'published'
+       RETURNING *`,
+      [id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Only your published notes can be unpublished' });
+    }
+
+    await logSellerAction(id, 'unpublished');
+
+    res.json({
+      success: true,
+      note: result.rows[0],
+      message: 'Note unpublished. Buyers keep access to their copies.'
+    });
+
+  } catch (error) {
+    console.error('Unpublish error:', error);
+    res.status(500).json({ error: 'Failed to unpublish note' });
+  }
+});
+
+// POST /api/notes/:id/republish - Put an unpublished note back on sale. Goes
+// through moderation again if its content was edited since the last approval.
+router.post('/:id/republish', authenticateWithScope('notes:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(`
+      UPDATE notes n SET status = CASE
+        WHEN EXISTS (
+          SELECT 1 FROM note_moderation_log e
+          WHERE e.note_id = n.id AND e.action = 'edited'
+            AND e.created_at > COALESCE(
+              (SELECT MAX(created_at) FROM note_moderation_log
+               WHERE note_id = n.id AND action = 'approved'),
+              '-infinity'
+            )
+        ) THEN 'pending'
+        ELSE 'published'
+      END
+      FROM notes old
+      WHERE n.id = $1 AND n.seller_id = $2 AND n.status = 'unpublished' AND old.id = n.id
+      RETURNING n.*, old.listed_price_usd as previous_price
+    `, [id, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'Only your unpublished notes can be republished' });
+    }
+
+    await logSellerAction(id, 'republished');
+
+    const { previous_price, ...note } = result.rows[0];
+
+    // The price may have been lowered while it was off the marketplace
+    await notifyNotePriceDrop(note, previous_price);
+
+    res.json({
+      success: true,
+      note,
+      message: note.status === 'pending'
+        ? 'Note submitted for review because it was edited since it was approved.'
+        : 'Note is back on the marketplace.'
+    });
+
+  } catch (error) {
+    console.error('Republish error:', error);
+    res.status(500).json({ error: 'Failed to republish note' });
+  }
+});
+
+// DELETE /api/notes/:id - Soft delete: hidden for good, but the file stays
+// downloadable for everyone who already bought it
+router.delete('/:id', authenticateWithScope('notes:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await db.query(
+      `UPDATE notes SET status = 'removed'
+       WHERE id = $1 AND seller_id = $2 AND status <> 'removed'
+       RETURNING id, title, status`,
+      [id, req.user.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    await logSellerAction(id, 'deleted');
+
+    res.json({
+      success: true,
+      note: result.rows[0],
+      message: 'Note deleted. Buyers keep access to their copies.'
+    });
+
+  } catch (error) {
+    console.error('Delete note error:', error);
+    res.status(500).json({ error: 'Failed to delete note' });
   }
 });
 
 // GET /api/notes/seller/my-notes - Get seller's uploaded notes
-router.get('/seller/my-notes', authenticateUser, async (req, res) => {
+router.get('/seller/my-notes', authenticateWithScope('notes:read'), async (req, res) => {
   try {
     const result = await db.query(`
       SELECT n.*,
         (SELECT COUNT(*) FROM purchases WHERE note_id = n.id AND status = 'completed') as sales_count,
-        (SELECT SUM(amount_usd - fee_usd) FROM purchases WHERE note_id = n.id AND status = 'completed') as total_earnings
+        (SELECT SUM(amount_usd - fee_usd) FROM purchases WHERE note_id = n.id AND status = 'completed') as total_earnings,
+        (SELECT COUNT(*) FROM wishlist_items WHERE note_id = n.id) as wishlist_count,
+        m.action as moderation_decision,
+        m.reason as moderation_reason,
+        m.created_at as moderated_at
       FROM notes n
-      WHERE n.seller_id = $1
+      LEFT JOIN LATERAL (
+        SELECT action, reason, created_at
+        FROM note_moderation_log
+        WHERE note_id = n.id AND action IN ('approved', 'rejected')
+        ORDER BY created_at DESC
+        LIMIT 1
+      ) m ON true
+      WHERE n.seller_id = $1 AND n.status <> 'removed'
       ORDER BY n.created_at DESC
     `, [req.user.id]);
 
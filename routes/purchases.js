@@ -7,22 +7,35 @@ const express = require('express');
 const router = express.Router();
 const Stripe = require('stripe');
 const db = require('../db');
-const { authenticateUser } = require('./auth');
+const { authenticateWithScope } = require('../middleware/auth');
+const { calculateFees, applyDiscount, allocateAmount, bundlePriceFor } = require('../services/pricing');
+const { findPurchasableBundle, getUnownedNotes } = require('../services/bundles');
+const {
+  reserveCoupon,
+  attachCouponReservation,
+  releaseCouponReservation,
+  checkoutExpiresAt
+} = require('../services/coupons');
 
 // Initialize Stripe
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
 
 // ============================================
 // POST /api/purchases/create-checkout
-// Create Stripe checkout session for buying a note
+// Create Stripe checkout session for buying a note (noteId) or a bundle (bundleId),
+// optionally with a seller's coupon (couponCode)
 // ============================================
-router.post('/create-checkout', authenticateUser, async (req, res) => {
+router.post('/create-checkout', authenticateWithScope('purchases:write'), async (req, res) => {
   try {
-    const { noteId } = req.body;
+    const { noteId, bundleId, couponCode } = req.body;
+
+    if (bundleId) {
+      return await createBundleCheckout(req, res, bundleId, couponCode);
+    }
 
     // Validate input
     if (!noteId) {
-      return res.status(400).json({ error: 'Note ID is required' });
+      return res.status(400).json({ error: 'Note ID or bundle ID is required' });
     }
 
     console.log(`Creating checkout for note ${noteId} by user ${req.user.id}`);
@@ -52,20 +65,18 @@ router.post('/create-checkout', authenticateUser, async (req, res) => {
       });
     }
 
-    // Calculate fees
-    const amount = parseFloat(note.price_usd);
-    const platformFeePercent = 0.30; // 30% commission - CHANGE THIS VALUE
-    const stripeFeePercent = 0.029;  // Stripe: 2.9%
-    const stripeFeeFixed = 0.30;     // Stripe: $0.30
-    
-    const platformFee = amount * platformFeePercent;
-    const stripeFee = (amount * stripeFeePercent) + stripeFeeFixed;
-    const sellerEarnings = amount - platformFee - stripeFee;
+    // Apply coupon, then calculate fees on what the buyer actually pays
+    const listPrice = parseFloat(note.price_usd);
+    const coupon = couponCode
+      ? await reserveCoupon({ code: couponCode, sellerId: note.seller_id, noteId: note.id, userId: req.user.id })
+      : null;
+    const { discount, total: amount } = coupon ? applyDiscount(coupon, listPrice) : { discount: 0, total: listPrice };
+    const { platformFee, stripeFee, sellerEarnings } = calculateFees(amount);
 
-    console.log(`Amount: $${amount}, Platform Fee: $${platformFee.toFixed(2)}, Seller Gets: $${sellerEarnings.toFixed(2)}`);
+    console.log(`Amount: $${amount}, Discount: $${discount.toFixed(2)}, Platform Fee: $${platformFee.toFixed(2)}, Seller Gets: $${sellerEarnings.toFixed(2)}`);
 
     // Create Stripe checkout session
-    const session = await stripe.checkout.sessions.create({
+    const session = await createCheckoutSession(coupon, {
       payment_method_types: ['card'],
       line_items: [
         {
@@ -94,7 +105,9 @@ router.post('/create-checkout', authenticateUser, async (req, res) => {
         amount: amount.toFixed(2),
         platform_fee: platformFee.toFixed(2),
         stripe_fee: stripeFee.toFixed(2),
-        seller_earnings: sellerEarnings.toFixed(2)
+        seller_earnings: sellerEarnings.toFixed(2),
+        coupon_code: coupon ? coupon.code : '',
+        discount: discount.toFixed(2)
       }
     });
 
@@ -102,16 +115,18 @@ router.post('/create-checkout', authenticateUser, async (req, res) => {
     await db.query(`
       INSERT INTO purchases (
         buyer_id, note_id, amount_usd, fee_usd, 
-        stripe_payment_id, status
+        stripe_payment_id, status, coupon_id, discount_usd
       )
-      VALUES ($1, $2, $3, $4, $5, $6)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
     `, [
       req.user.id,
       noteId,
       amount,
       platformFee + stripeFee,
       session.id,
-      'pending'
+      'pending',
+      coupon ? coupon.id : null,
+      discount
     ]);
 
     console.log(`✅ Checkout session created: ${session.id}`);
@@ -119,10 +134,17 @@ router.post('/create-checkout', authenticateUser, async (req, res) => {
     res.json({
       success: true,
       sessionId: session.id,
-      checkoutUrl: session.url
+      checkoutUrl: session.url,
+      amount: amount.toFixed(2),
+      discount: discount.toFixed(2)
     });
 
   } catch (error) {
+    // Coupon rejected (expired, used up, wrong item, ...)
+    if (error.status === 400) {
+      return res.status(400).json({ error: error.message });
+    }
+
     console.error('Checkout creation error:', error);
     res.status(500).json({ 
       error: 'Failed to create checkout session',
@@ -131,11 +153,146 @@ router.post('/create-checkout', authenticateUser, async (req, res) => {
   }
 });
 
+// ============================================
+// FUNCTION: createCheckoutSession
+// Stripe session for a note or bundle. With a coupon (from reserveCoupon),
+// the session expires early and holds the coupon reservation, and the
+// buyer's earlier checkouts with that coupon are expired.
+// ============================================
+async function createCheckoutSession(coupon, params) {
+  if (!coupon) {
+    return stripe.checkout.sessions.create(params);
+  }
+
+  let session;
+
+  try {
+    session = await stripe.checkout.sessions.create({ ...params, expires_at: checkoutExpiresAt() });
+  } catch (error) {
+    await releaseCouponReservation({ reservationId: coupon.reservationId });
+    throw error;
+  }
+
+  await attachCouponReservation(coupon.reservationId, session.id);
+
+  for (const sessionId of coupon.releasedSessionIds) {
+    try {
+      await stripe.checkout.sessions.expire(sessionId);
+    } catch (error) {
+      // Already completed or expired
+      console.warn(`Could not expire checkout ${sessionId}: ${error.message}`);
+    }
+  }
+
+  return session;
+}
+
+// ============================================
+// FUNCTION: createBundleCheckout
+// Bundle checkout. Records one pending purchase per note the buyer doesn't
+// own yet, each with its share of the price and fees (split by list price),
+// so access and per-note seller earnings work like single purchases.
+// Buyers who own some notes pay only for the rest (see bundlePriceFor).
+// A coupon's discount is split across those rows the same way.
+// ============================================
+async function createBundleCheckout(req, res, bundleId, couponCode) {
+  const bundle = await findPurchasableBundle(bundleId);
+
+  if (!bundle) {
+    return res.status(404).json({ error: 'Bundle not found or not available' });
+  }
+
+  if (bundle.seller_id === req.user.id) {
+    return res.status(400).json({ error: 'You cannot buy your own bundle' });
+  }
+
+  const notes = await getUnownedNotes(bundle, req.user.id);
+  const ownedCount = bundle.notes.length - notes.length;
+
+  if (notes.length === 0) {
+    return res.status(400).json({
+      error: 'You already own every note in this bundle',
+      alreadyPurchased: true
+    });
+  }
+
+  const weights = notes.map(note => parseFloat(note.price_usd));
+  const listPrice = bundlePriceFor(
+    parseFloat(bundle.price_usd),
+    bundle.notes.map(note => parseFloat(note.price_usd)),
+    weights
+  );
+  const coupon = couponCode
+    ? await reserveCoupon({ code: couponCode, sellerId: bundle.seller_id, bundleId: bundle.id, userId: req.user.id })
+    : null;
+  const { discount, total: amount } = coupon ? applyDiscount(coupon, listPrice) : { discount: 0, total: listPrice };
+  const { platformFee, stripeFee, sellerEarnings } = calculateFees(amount);
+
+  console.log(`Bundle ${bundle.id}: Amount: $${amount}, Discount: $${discount.toFixed(2)}, Seller Gets: $${sellerEarnings.toFixed(2)}`);
+
+  const session = await createCheckoutSession(coupon, {
+    payment_method_types: ['card'],
+    line_items: [
+      {
+        price_data: {
+          currency: 'usd',
+          product_data: {
+            name: bundle.title,
+            description: `${notes.length} notes: ${notes.map(note => note.title).join(', ')}`.substring(0, 200),
+            metadata: {
+              bundle_id: bundle.id,
+              seller_id: bundle.seller_id
+            }
+          },
+          unit_amount: Math.round(amount * 100)
+        },
+        quantity: 1
+      }
+    ],
+    mode: 'payment',
+    success_url: `${process.env.FRONTEND_URL}/success?session_id={CHECKOUT_SESSION_ID}`,
+    cancel_url: `${process.env.FRONTEND_URL}/marketplace`,
+    metadata: {
+      bundle_id: bundle.id,
+      buyer_id: req.user.id,
+      seller_id: bundle.seller_id,
+      amount: amount.toFixed(2),
+      platform_fee: platformFee.toFixed(2),
+      stripe_fee: stripeFee.toFixed(2),
+      seller_earnings: sellerEarnings.toFixed(2),
+      coupon_code: coupon ? coupon.code : '',
+      discount: discount.toFixed(2)
+    }
+  });
+
+  const amounts = allocateAmount(amount, weights);
+  const fees = allocateAmount(platformFee + stripeFee, weights);
+  const discounts = allocateAmount(discount, weights);
+
+  await db.query(`
+    INSERT INTO purchases (buyer_id, note_id, bundle_id, amount_usd, fee_usd, stripe_payment_id, status, coupon_id, discount_usd)
+    SELECT $1, note_id, $2, amount_usd, fee_usd, $3, 'pending', $7, discount_usd
+    FROM unnest($4::uuid[], $5::numeric[], $6::numeric[], $8::numeric[]) AS t(note_id, amount_usd, fee_usd, discount_usd)
+  `, [req.user.id, bundle.id, session.id, notes.map(note => note.id), amounts, fees, coupon ? coupon.id : null, discounts]);
+
+  console.log(`✅ Bundle checkout session created: ${session.id}`);
+
+  res.json({
+    success: true,
+    sessionId: session.id,
+    checkoutUrl: session.url,
+    amount: amount.toFixed(2),
+    discount: discount.toFixed(2),
+    notesIncluded: notes.length,
+    notesAlreadyOwned: ownedCount
+  });
+}
+
 // ============================================
 // POST /api/purchases/create-subscription
 // Create Pro or Elite subscription
 // ============================================
-router.post('/create-subscription', authenticateUser, async (req, res) => {
+router.post('/create-subscription', authenticateWithScope('purchases:write'), async (req, res) => {
   try {
     const { plan } = req.body; // 'pro' or 'elite'
 
@@ -224,12 +381,13 @@ router.post('/create-subscription', authenticateUser, async (req, res) => {
 // GET /api/purchases/my-purchases
 // Get user's purchase history
 // ============================================
-router.get('/my-purchases', authenticateUser, async (req, res) => {
+router.get('/my-purchases', authenticateWithScope('purchases:read'), async (req, res) => {
   try {
     const result = await db.query(`
       SELECT 
         p.*,
         n.title,
+        b.title as bundle_title,
         n.description,
         n.file_url,
         n.thumbnail_url,
@@ -238,6 +396,7 @@ router.get('/my-purchases', authenticateUser, async (req, res) => {
       FROM purchases p
       JOIN notes n ON p.note_id = n.id
       JOIN users u ON n.seller_id = u.id
+      LEFT JOIN bundles b ON p.bundle_id = b.id
       WHERE p.buyer_id = $1 AND p.status = 'completed'
       ORDER BY p.created_at DESC
     `, [req.user.id]);
@@ -260,7 +419,7 @@ router.get('/my-purchases', authenticateUser, async (req, res) => {
 // GET /api/purchases/verify/:sessionId
 // Verify a Stripe checkout session
 // ============================================
-router.get('/verify/:sessionId', authenticateUser, async (req, res) => {
+router.get('/verify/:sessionId', authenticateWithScope('purchases:read'), async (req, res) => {
   try {
     const { sessionId } = req.params;
 
@@ -299,7 +458,7 @@ router.get('/verify/:sessionId', authenticateUser, async (req, res) => {
 // GET /api/purchases/stats
 // Get user's purchase statistics
 // ============================================
-router.get('/stats', authenticateUser, async (req, res) => {
+router.get('/stats', authenticateWithScope('purchases:read'), async (req, res) => {
   try {
     const stats = await db.query(`
       SELECT 
@@ -0,0 +1,283 @@
+// routes/reviews.js
+// Ratings & reviews of a note (mounted at /api/notes/:noteId/reviews).
+// Only buyers with a completed purchase can review; the seller can reply.
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const db = require('../db');
+const { findCompletedPurchase } = require('../services/noteAccess');
+const { authenticateUser, hasPermission } = require('../middleware/auth');
+
+const MAX_COMMENT_LENGTH = 5000;
+
+const parseRating = (rating) => {
+  const value = Number(rating);
+  return Number.isInteger(value) && value >= 1 && value <= 5 ? value : null;
+};
+
+const findReview = async (noteId, reviewId) => {
+  const result = await db.query(
+    'SELECT * FROM reviews WHERE id = $1 AND note_id = $2',
+    [reviewId, noteId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// GET /api/notes/:noteId/reviews - Paginated reviews (?sort=helpful|recent)
+router.get('/', async (req, res) => {
+  try {
+    const { noteId } = req.params;
+    const { sort = 'helpful', page = 1, limit = 20 } = req.query;
+
+    const noteResult = await db.query(
+      `SELECT avg_rating, review_count FROM notes WHERE id = $1 AND status = 'published'`,
+      [noteId]
+    );
+
+    if (noteResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Note not found' });
+    }
+
+    const orderBy = sort === 'recent'
+      ? 'r.created_at DESC'
+      : 'r.helpful_count DESC, r.created_at DESC';
+
+    const offset = (page - 1) * limit;
+
+    const result = await db.query(`
+      SELECT r.id, r.rating, r.comment, r.helpful_count, r.seller_reply, r.seller_replied_at,
+        r.created_at, r.updated_at, u.username
+      FROM reviews r
+      JOIN users u ON r.user_id = u.id
+      WHERE r.note_id = $1
+      ORDER BY ${orderBy}
+      LIMIT $2 OFFSET $3
+    `, [noteId, limit, offset]);
+
+    const distribution = await db.query(
+      `SELECT rating, COUNT(*)::int AS count FROM reviews WHERE note_id = $1 GROUP BY rating`,
+      [noteId]
+    );
+
+    res.json({
+      success: true,
+      reviews: result.rows,
+      summary: {
+        avgRating: parseFloat(noteResult.rows[0].avg_rating) || 0,
+        reviewCount: noteResult.rows[0].review_count,
+        distribution: Object.fromEntries(
+          [5, 4, 3, 2, 1].map(stars => [stars, distribution.rows.find(row => row.rating === stars)?.count || 0])
+        )
+      },
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+  } catch (error) {
+    console.error('List reviews error:', error);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+});
+
+// POST /api/notes/:noteId/reviews - Review a purchased note
+router.post('/', authenticateUser, async (req, res) => {
+  try {
+    const { noteId } = req.params;
+    const rating = parseRating(req.body.rating);
+    const comment = (req.body.comment || '').trim();
+
+    if (!rating) {
+      return res.status(400).json({ error: 'Rating must be a whole number from 1 to 5' });
+    }
+
+    if (comment.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Comment must be at most ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    const purchase = await findCompletedPurchase(noteId, req.user.id);
+
+    if (!purchase) {
+      return res.status(403).json({ error: 'Only buyers of this note can review it' });
+    }
+
+    const result = await db.query(`
+      INSERT INTO reviews (note_id, user_id, rating, comment)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (note_id, user_id) DO NOTHING
+      RETURNING *
+    `, [noteId, req.user.id, rating, comment || null]);
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({ error: 'You have already reviewed this note. Edit your review instead.' });
+    }
+
+    res.json({
+      success: true,
+      review: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Create review error:', error);
+    res.status(500).json({ error: 'Failed to create review' });
+  }
+});
+
+// PUT /api/notes/:noteId/reviews/:reviewId - Edit your review
+router.put('/:reviewId', authenticateUser, async (req, res) => {
+  try {
+    const { noteId, reviewId } = req.params;
+    const { rating, comment } = req.body;
+
+    if (rating !== undefined && !parseRating(rating)) {
+      return res.status(400).json({ error: 'Rating must be a whole number from 1 to 5' });
+    }
+
+    if (comment !== undefined && String(comment).trim().length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Comment must be at most ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    const result = await db.query(`
+      UPDATE reviews SET
+        rating = COALESCE($4, rating),
+        comment = CASE WHEN $5::boolean THEN $6 ELSE comment END,
+        updated_at = NOW()
+      WHERE id = $1 AND note_id = $2 AND user_id = $3
+      RETURNING *
+    `, [
+      reviewId,
+      noteId,
+      req.user.id,
+      rating !== undefined ? parseRating(rating) : null,
+      comment !== undefined,
+      comment !== undefined ? (String(comment).trim() || null) : null
+    ]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    res.json({
+      success: true,
+      review: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Edit review error:', error);
+    res.status(500).json({ error: 'Failed to update review' });
+  }
+});
+
+// DELETE /api/notes/:noteId/reviews/:reviewId - Delete your review (moderators: any review)
+router.delete('/:reviewId', authenticateUser, async (req, res) => {
+  try {
+    const { noteId, reviewId } = req.params;
+
+    const review = await findReview(noteId, reviewId);
+
+    if (!review || (review.user_id !== req.user.id && !hasPermission(req.user, 'moderate_notes'))) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    await db.query('DELETE FROM reviews WHERE id = $1', [reviewId]);
+
+    res.json({ success: true, message: 'Review deleted' });
+
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({ error: 'Failed to delete review' });
+  }
+});
+
+// POST /api/notes/:noteId/reviews/:reviewId/helpful - Mark a review helpful
+router.post('/:reviewId/helpful', authenticateUser, async (req, res) => {
+  try {
+    const { noteId, reviewId } = req.params;
+
+    const review = await findReview(noteId, reviewId);
+
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (review.user_id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot vote on your own review' });
+    }
+
+    await db.query(
+      `INSERT INTO review_votes (review_id, user_id) VALUES ($1, $2)
+       ON CONFLICT (review_id, user_id) DO NOTHING`,
+      [reviewId, req.user.id]
+    );
+
+    const updated = await db.query('SELECT helpful_count FROM reviews WHERE id = $1', [reviewId]);
+
+    res.json({ success: true, helpfulCount: updated.rows[0].helpful_count });
+
+  } catch (error) {
+    console.error('Helpful vote error:', error);
+    res.status(500).json({ error: 'Failed to record vote' });
+  }
+});
+
+// DELETE /api/notes/:noteId/reviews/:reviewId/helpful - Take back a helpful vote
+router.delete('/:reviewId/helpful', authenticateUser, async (req, res) => {
+  try {
+    const { noteId, reviewId } = req.params;
+
+    const review = await findReview(noteId, reviewId);
+
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    await db.query(
+      'DELETE FROM review_votes WHERE review_id = $1 AND user_id = $2',
+      [reviewId, req.user.id]
+    );
+
+    const updated = await db.query('SELECT helpful_count FROM reviews WHERE id = $1', [reviewId]);
+
+    res.json({ success: true, helpfulCount: updated.rows[0].helpful_count });
+
+  } catch (error) {
+    console.error('Remove helpful vote error:', error);
+    res.status(500).json({ error: 'Failed to remove vote' });
+  }
+});
+
+// PUT /api/notes/:noteId/reviews/:reviewId/reply - Seller's public reply (empty to remove)
+router.put('/:reviewId/reply', authenticateUser, async (req, res) => {
+  try {
+    const { noteId, reviewId } = req.params;
+    const reply = (req.body.reply || '').trim();
+
+    if (reply.length > MAX_COMMENT_LENGTH) {
+      return res.status(400).json({ error: `Reply must be at most ${MAX_COMMENT_LENGTH} characters` });
+    }
+
+    const result = await db.query(`
+      UPDATE reviews r SET
+        seller_reply = $3,
+        seller_replied_at = CASE WHEN $3::text IS NULL THEN NULL ELSE NOW() END
+      FROM notes n
+      WHERE r.id = $1 AND r.note_id = $2 AND n.id = r.note_id AND n.seller_id = $4
+      RETURNING r.*
+    `, [reviewId, noteId, reply || null, req.user.id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Review not found on one of your notes' });
+    }
+
+    res.json({
+      success: true,
+      review: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('Review reply error:', error);
+    res.status(500).json({ error: 'Failed to save reply' });
+  }
+});
+
+module.exports = router;
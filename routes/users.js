@@ -2,10 +2,16 @@
 const express = require('express');
 const router = express.Router();
 const db = require('../db');
-const { authenticateUser } = require('./auth');
+const { authenticateUser, authenticateWithScope, requireFreshTwoFactor, isTwoFactorFresh } = require('../middleware/auth');
+const bcrypt = require('bcryptjs');
+const archiver = require('archiver');
+const { sendVerificationEmail } = require('../services/emails');
+const { collectUserData, deleteAccount } = require('../services/accountData');
+const { requestContext, logAuthEvent } = require('../services/authEvents');
+const { listNotifications, markNotificationsRead } = require('../services/notifications');
 
 // GET /api/users/dashboard - User dashboard data
-router.get('/dashboard', authenticateUser, async (req, res) => {
+router.get('/dashboard', authenticateWithScope('profile:read'), async (req, res) => {
   try {
     const userId = req.user.id;
 
@@ -61,7 +67,7 @@ router.get('/dashboard', authenticateUser, async (req, res) => {
 });
 
 // GET /api/users/profile - Get user profile
-router.get('/profile', authenticateUser, async (req, res) => {
+router.get('/profile', authenticateWithScope('profile:read'), async (req, res) => {
   try {
     res.json({
       success: true,
@@ -74,6 +80,8 @@ router.get('/profile', authenticateUser, async (req, res) => {
         plan: req.user.plan,
         credits: req.user.credits,
         wallet_balance: parseFloat(req.user.wallet_balance),
+        country: req.user.country,
+        level: req.user.level,
         created_at: req.user.created_at
       }
     });
@@ -86,23 +94,48 @@ router.get('/profile', authenticateUser, async (req, res) => {
 // PUT /api/users/profile - Update profile
 router.put('/profile', authenticateUser, async (req, res) => {
   try {
-    const { email, username } = req.body;
+    const { email, username, country, level } = req.body;
     const updates = [];
     const values = [];
     let paramIndex = 1;
 
-    if (email) {
-      updates.push(`email = $${paramIndex}`);
+    const emailChanged = email && email !== req.user.email;
+
+    // Changing the email is an account-recovery vector; require recent 2FA
+    if (emailChanged && !isTwoFactorFresh(req)) {
+      return res.status(403).json({ 
+        error: 'Two-factor verification required',
+        twoFactorRequired: true 
+      });
+    }
+
+    if (emailChanged) {
+      // New address must be verified again
+      updates.push(`email = $${paramIndex}`, 'email_verified_at = NULL');
       values.push(email);
       paramIndex++;
     }
 
+    // Logins treat anything with an "@" as an email
+    if (username && String(username).includes('@')) {
+      return res.status(400).json({ error: 'Username cannot contain "@"' });
+    }
+
     if (username) {
       updates.push(`username = $${paramIndex}`);
       values.push(username);
       paramIndex++;
     }
 
+    // Used for recommendations; empty string clears
+    for (const [field, value] of [['country', country], ['level', level]]) {
+      if (value !== undefined) {
+        updates.push(`${field} = $${paramIndex}`);
+        values.push(String(value).trim() || null);
+        paramIndex++;
+      }
+    }
+
     if (updates.length === 0) {
       return res.status(400).json({ error: 'No updates provided' });
     }
@@ -110,10 +143,17 @@ router.put('/profile', authenticateUser, async (req, res) => {
     values.push(req.user.id);
     
     const result = await db.query(
-      `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramIndex} RETURNING *`,
+      `UPDATE users SET ${updates.join(', ')} WHERE id = $${paramIndex}
+       RETURNING id, telegram_id, username, first_name, email, email_verified_at, plan, credits, wallet_balance, country, level, created_at`,
       values
     );
 
+    if (emailChanged) {
+      sendVerificationEmail(result.rows[0]).catch(error => {
+        console.error('Verification email error:', error);
+      });
+    }
+
     res.json({
       success: true,
       user: result.rows[0]
@@ -171,7 +211,7 @@ router.post('/add-credits', authenticateUser, async (req, res) => {
 });
 
 // POST /api/users/request-payout - Request seller payout
-router.post('/request-payout', authenticateUser, async (req, res) => {
+router.post('/request-payout', authenticateUser, requireFreshTwoFactor, async (req, res) => {
   try {
     const { amount, method } = req.body;
     
@@ -246,4 +286,125 @@ router.get('/referrals', authenticateUser, async (req, res) => {
   }
 });
 
+// GET /api/users/notifications - Notifications, newest first
+router.get('/notifications', authenticateWithScope('profile:read'), async (req, res) => {
+  try {
+    const { unread } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 100);
+
+    const { notifications, unreadCount } = await listNotifications(req.user.id, {
+      unreadOnly: unread === 'true',
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json({
+      success: true,
+      notifications,
+      unreadCount,
+      page,
+      limit
+    });
+
+  } catch (error) {
+    console.error('Notifications error:', error);
+    res.status(500).json({ error: 'Failed to fetch notifications' });
+  }
+});
+
+// POST /api/users/notifications/read - Mark notifications read (`ids`, or all when omitted)
+router.post('/notifications/read', authenticateUser, async (req, res) => {
+  try {
+    const { ids } = req.body;
+
+    if (ids !== undefined && !Array.isArray(ids)) {
+      return res.status(400).json({ error: 'ids must be an array' });
+    }
+
+    const updated = await markNotificationsRead(req.user.id, ids);
+
+    res.json({ success: true, updated });
+
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    res.status(500).json({ error: 'Failed to update notifications' });
+  }
+});
+
+// GET /api/users/me/export - Download all personal data as a zip of JSON files
+router.get('/me/export', authenticateUser, async (req, res) => {
+  try {
+    const data = await collectUserData(req.user.id);
+    const date = new Date().toISOString().split('T')[0];
+
+    await logAuthEvent({ userId: req.user.id, type: 'data_export', ...requestContext(req) });
+
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    archive.on('error', (error) => {
+      console.error('Export archive error:', error);
+      res.destroy(error);
+    });
+
+    res.attachment(`notex-export-${date}.zip`);
+    archive.pipe(res);
+
+    for (const [name, rows] of Object.entries(data)) {
+      archive.append(JSON.stringify(rows, null, 2), { name: `${name}.json` });
+    }
+
+    archive.append(JSON.stringify({
+      exported_at: new Date().toISOString(),
+      user_id: req.user.id,
+      files: Object.keys(data).map(name => `${name}.json`)
+    }, null, 2), { name: 'manifest.json' });
+
+    await archive.finalize();
+
+  } catch (error) {
+    console.error('Data export error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Failed to export data' });
+    }
+  }
+});
+
+// DELETE /api/users/me - Delete account.
+// Personal data is erased; purchases, sales and payouts are kept (anonymized)
+// so the other party's records stay intact.
+router.delete('/me', authenticateUser, requireFreshTwoFactor, async (req, res) => {
+  try {
+    const { password, confirm } = req.body;
+
+    if (confirm !== 'DELETE') {
+      return res.status(400).json({ error: 'Send { "confirm": "DELETE" } to delete your account' });
+    }
+
+    // Password accounts must re-enter the password
+    const userResult = await db.query(
+      'SELECT password_hash FROM users WHERE id = $1',
+      [req.user.id]
+    );
+
+    const passwordHash = userResult.rows[0]?.password_hash;
+    if (passwordHash && !(password && await bcrypt.compare(password, passwordHash))) {
+      return res.status(401).json({ error: 'Invalid password' });
+    }
+
+    await deleteAccount(req.user.id);
+
+    console.log(`🗑️  Account deleted: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Your account has been deleted.'
+    });
+
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ error: 'Failed to delete account' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
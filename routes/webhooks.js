@@ -8,6 +8,7 @@ const express = require('express');
 const router = express.Router();
 const Stripe = require('stripe');
 const db = require('../db');
+const { redeemCouponReservation, releaseCouponReservation } = require('../services/coupons');
 
 // Initialize Stripe with your secret key
 const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
@@ -46,6 +47,12 @@ router.post('/stripe', express.raw({ type: 'application/json' }), async (req, re
         await handleCheckoutCompleted(event.data.object);
         break;
 
+      // When a checkout session expires unpaid
+      case 'checkout.session.expired':
+        console.log('⌛ Processing checkout.session.expired');
+        await handleCheckoutExpired(event.data.object);
+        break;
+
       // When subscription invoice is paid
       case 'invoice.paid':
         console.log('💰 Processing invoice.paid');
@@ -94,10 +101,11 @@ async function handleCheckoutCompleted(session) {
   console.log('📋 Session metadata:', metadata);
 
   // ========================================
-  // HANDLE NOTE PURCHASE
+  // HANDLE NOTE (OR BUNDLE) PURCHASE
+  // A bundle sale has one purchase row per note; all share the session id
   // ========================================
-  if (metadata.note_id) {
-    console.log(`🛒 Processing note purchase: ${metadata.note_id}`);
+  if (metadata.note_id || metadata.bundle_id) {
+    console.log(`🛒 Processing ${metadata.bundle_id ? `bundle purchase: ${metadata.bundle_id}` : `note purchase: ${metadata.note_id}`}`);
 
     try {
       // 1. Update purchase status to completed
@@ -112,6 +120,10 @@ async function handleCheckoutCompleted(session) {
 
       console.log(`✅ Purchase updated: ${updateResult.rowCount} row(s)`);
 
+      if (metadata.coupon_code) {
+        await redeemCouponReservation(session.id);
+      }
+
       // 2. Calculate seller earnings
       const amount = parseFloat(metadata.amount || 0);
       const platformFee = parseFloat(metadata.platform_fee || 0);
@@ -139,6 +151,7 @@ async function handleCheckoutCompleted(session) {
           session.id,
           JSON.stringify({
             note_id: metadata.note_id,
+            bundle_id: metadata.bundle_id,
             amount: amount,
             seller_earnings: sellerEarnings
           }),
@@ -147,7 +160,7 @@ async function handleCheckoutCompleted(session) {
       );
 
       console.log(`✅ Note purchase completed successfully!`);
-      console.log(`   - Note ID: ${metadata.note_id}`);
+      console.log(`   - ${metadata.bundle_id ? `Bundle ID: ${metadata.bundle_id}` : `Note ID: ${metadata.note_id}`}`);
       console.log(`   - Buyer: ${metadata.buyer_id}`);
       console.log(`   - Seller: ${metadata.seller_id}`);
       console.log(`   - Seller earned: $${sellerEarnings.toFixed(2)}`);
@@ -213,6 +226,23 @@ async function handleCheckoutCompleted(session) {
   }
 }
 
+// ============================================
+// FUNCTION: handleCheckoutExpired
+// Called when a checkout session expires without payment
+// Gives back the coupon redemption it was holding
+// ============================================
+async function handleCheckoutExpired(session) {
+  try {
+    await releaseCouponReservation({ sessionId: session.id });
+
+    console.log(`✅ Checkout expired: ${session.id}`);
+
+  } catch (error) {
+    console.error('❌ Error handling checkout expiry:', error);
+    throw error;
+  }
+}
+
 // ============================================
 // FUNCTION: handleInvoicePaid
 // Called when recurring subscription invoice is paid
@@ -0,0 +1,135 @@
+// routes/wishlist.js
+// Buyers' saved notes and bundles. Wishlisters are notified of price drops,
+// new coupons and new revisions (see services/notifications.js).
+
+const express = require('express');
+const router = express.Router();
+const db = require('../db');
+const { authenticateWithScope } = require('../middleware/auth');
+const { PURCHASABLE_CLAUSE } = require('../services/bundles');
+
+// GET /api/wishlist - Your wishlisted notes and bundles
+router.get('/', authenticateWithScope('purchases:read'), async (req, res) => {
+  try {
+    const notes = await db.query(`
+      SELECT w.id as wishlist_id, w.created_at as added_at,
+        n.id, n.title, n.subject, n.level, n.price_usd, n.thumbnail_url, n.avg_rating, n.review_count,
+        n.status = 'published' as available,
+        EXISTS (
+          SELECT 1 FROM purchases p
+          WHERE p.note_id = n.id AND p.buyer_id = w.user_id AND p.status = 'completed'
+        ) as purchased
+      FROM wishlist_items w
+      JOIN notes n ON w.note_id = n.id
+      WHERE w.user_id = $1
+      ORDER BY w.created_at DESC
+    `, [req.user.id]);
+
+    const bundles = await db.query(`
+      SELECT w.id as wishlist_id, w.created_at as added_at,
+        b.id, b.title, b.price_usd,
+        (SELECT SUM(n.price_usd) FROM bundle_notes bn JOIN notes n ON bn.note_id = n.id WHERE bn.bundle_id = b.id) as list_price_usd,
+        (${PURCHASABLE_CLAUSE}) as available,
+        EXISTS (
+          SELECT 1 FROM purchases p
+          WHERE p.bundle_id = b.id AND p.buyer_id = w.user_id AND p.status = 'completed'
+        ) as purchased
+      FROM wishlist_items w
+      JOIN bundles b ON w.bundle_id = b.id
+      WHERE w.user_id = $1
+      ORDER BY w.created_at DESC
+    `, [req.user.id]);
+
+    res.json({
+      success: true,
+      notes: notes.rows,
+      bundles: bundles.rows
+    });
+
+  } catch (error) {
+    console.error('Wishlist error:', error);
+    res.status(500).json({ error: 'Failed to fetch wishlist' });
+  }
+});
+
+// POST /api/wishlist - Add a note (noteId) or bundle (bundleId)
+router.post('/', authenticateWithScope('purchases:write'), async (req, res) => {
+  try {
+    const { noteId, bundleId } = req.body;
+
+    if (!noteId === !bundleId) {
+      return res.status(400).json({ error: 'Provide either noteId or bundleId' });
+    }
+
+    const item = noteId
+      ? await db.query(`SELECT seller_id FROM notes WHERE id = $1 AND status = 'published'`, [noteId])
+      : await db.query(`SELECT b.seller_id FROM bundles b WHERE b.id = $1 AND ${PURCHASABLE_CLAUSE}`, [bundleId]);
+
+    if (item.rows.length === 0) {
+      return res.status(404).json({ error: noteId ? 'Note not found' : 'Bundle not found' });
+    }
+
+    if (item.rows[0].seller_id === req.user.id) {
+      return res.status(400).json({ error: 'You cannot wishlist your own listing' });
+    }
+
+    const result = await db.query(`
+      INSERT INTO wishlist_items (user_id, note_id, bundle_id)
+      VALUES ($1, $2, $3)
+      ON CONFLICT DO NOTHING
+      RETURNING *
+    `, [req.user.id, noteId || null, bundleId || null]);
+
+    res.json({
+      success: true,
+      added: result.rows.length > 0,
+      message: result.rows.length > 0 ? 'Added to wishlist' : 'Already on your wishlist'
+    });
+
+  } catch (error) {
+    console.error('Add to wishlist error:', error);
+    res.status(500).json({ error: 'Failed to update wishlist' });
+  }
+});
+
+// DELETE /api/wishlist/notes/:noteId - Remove a note
+router.delete('/notes/:noteId', authenticateWithScope('purchases:write'), async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM wishlist_items WHERE user_id = $1 AND note_id = $2',
+      [req.user.id, req.params.noteId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Note is not on your wishlist' });
+    }
+
+    res.json({ success: true, message: 'Removed from wishlist' });
+
+  } catch (error) {
+    console.error('Remove from wishlist error:', error);
+    res.status(500).json({ error: 'Failed to update wishlist' });
+  }
+});
+
+// DELETE /api/wishlist/bundles/:bundleId - Remove a bundle
+router.delete('/bundles/:bundleId', authenticateWithScope('purchases:write'), async (req, res) => {
+  try {
+    const result = await db.query(
+      'DELETE FROM wishlist_items WHERE user_id = $1 AND bundle_id = $2',
+      [req.user.id, req.params.bundleId]
+    );
+
+    if (result.rowCount === 0) {
+      return res.status(404).json({ error: 'Bundle is not on your wishlist' });
+    }
+
+    res.json({ success: true, message: 'Removed from wishlist' });
+
+  } catch (error) {
+    console.error('Remove from wishlist error:', error);
+    res.status(500).json({ error: 'Failed to update wishlist' });
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,9 @@
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- Trigram matching for typo-tolerant search
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
 -- ============================================
 -- USERS TABLE - Stores all user accounts
 -- ============================================
@@ -37,7 +40,7 @@ CREATE INDEX IF NOT EXISTS idx_users_plan ON users(plan);
 -- ============================================
 CREATE TABLE IF NOT EXISTS notes (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  seller_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  seller_id UUID REFERENCES users(id) ON DELETE RESTRICT, -- accounts are anonymized, never deleted
   title VARCHAR(255) NOT NULL,
   description TEXT,
   type VARCHAR(50) DEFAULT 'notes', -- ADDED FOR CONTENT TYPE
@@ -50,7 +53,7 @@ CREATE TABLE IF NOT EXISTS notes (
   file_url TEXT NOT NULL,
   thumbnail_url TEXT,
   tags TEXT[],
-  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'published', 'rejected')),
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'published', 'rejected', 'unpublished', 'removed')),
   views INTEGER DEFAULT 0,
   purchase_count INTEGER DEFAULT 0, -- ADDED FOR PURCHASE TRACKING
   avg_rating DECIMAL(3,2) DEFAULT 0.00, -- ADDED FOR RATINGS
@@ -83,8 +86,8 @@ CREATE INDEX IF NOT EXISTS idx_activities_type ON user_activities(activity_type)
 -- ============================================
 CREATE TABLE IF NOT EXISTS purchases (
   id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-  buyer_id UUID REFERENCES users(id) ON DELETE CASCADE,
-  note_id UUID REFERENCES notes(id) ON DELETE CASCADE,
+  buyer_id UUID REFERENCES users(id) ON DELETE RESTRICT, -- financial record, keep
+  note_id UUID REFERENCES notes(id) ON DELETE RESTRICT,
   amount_usd DECIMAL(10, 2) NOT NULL,
   fee_usd DECIMAL(10, 2) DEFAULT 0,
   stripe_payment_id VARCHAR(255),
@@ -168,6 +171,465 @@ CREATE TABLE IF NOT EXISTS referrals (
 CREATE INDEX IF NOT EXISTS idx_referrals_referrer ON referrals(referrer_id);
 CREATE INDEX IF NOT EXISTS idx_referrals_referred ON referrals(referred_id);
 
+-- Roles: user, moderator, admin
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'user' CHECK (role IN ('user', 'moderator', 'admin'));
+
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role);
+
+-- Password accounts & email verification
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS password_hash VARCHAR(255),
+ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+-- TOTP two-factor authentication
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(64),
+ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP;
+
+-- Last TOTP time-step accepted, so a code can't be used twice
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS totp_last_step BIGINT;
+
+CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
+
+-- Account deletion (rows are anonymized, not removed)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+-- 'removed' notes (deleted by their seller, or of deleted sellers) are hidden from
+-- the catalog but still downloadable by buyers. 'unpublished' can be republished.
+ALTER TABLE notes DROP CONSTRAINT IF EXISTS notes_status_check;
+ALTER TABLE notes ADD CONSTRAINT notes_status_check
+  CHECK (status IN ('pending', 'published', 'rejected', 'unpublished', 'removed'));
+
+-- Deleting a user or note must never cascade into purchase history
+ALTER TABLE notes DROP CONSTRAINT IF EXISTS notes_seller_id_fkey;
+ALTER TABLE notes ADD CONSTRAINT notes_seller_id_fkey
+  FOREIGN KEY (seller_id) REFERENCES users(id) ON DELETE RESTRICT;
+
+ALTER TABLE purchases DROP CONSTRAINT IF EXISTS purchases_buyer_id_fkey;
+ALTER TABLE purchases ADD CONSTRAINT purchases_buyer_id_fkey
+  FOREIGN KEY (buyer_id) REFERENCES users(id) ON DELETE RESTRICT;
+
+ALTER TABLE purchases DROP CONSTRAINT IF EXISTS purchases_note_id_fkey;
+ALTER TABLE purchases ADD CONSTRAINT purchases_note_id_fkey
+  FOREIGN KEY (note_id) REFERENCES notes(id) ON DELETE RESTRICT;
+
+-- Generated on upload: storage keys of the thumbnail and free preview
+ALTER TABLE notes
+ADD COLUMN IF NOT EXISTS thumbnail_key TEXT,
+ADD COLUMN IF NOT EXISTS preview_key TEXT,
+ADD COLUMN IF NOT EXISTS preview_pages INTEGER;
+
+-- Catalog search: weighted document maintained by a trigger (see TRIGGERS)
+ALTER TABLE notes
+ADD COLUMN IF NOT EXISTS search_vector TSVECTOR;
+
+CREATE INDEX IF NOT EXISTS idx_notes_search ON notes USING GIN(search_vector);
+CREATE INDEX IF NOT EXISTS idx_notes_title_trgm ON notes USING GIN(title gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_notes_level ON notes(level);
+CREATE INDEX IF NOT EXISTS idx_notes_country ON notes(country);
+
+-- Per-purchase fingerprint stamped into downloaded files
+ALTER TABLE purchases
+ADD COLUMN IF NOT EXISTS fingerprint VARCHAR(20);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_purchases_fingerprint ON purchases(fingerprint);
+
+-- ============================================
+-- PAYOUTS TABLE - Seller payout requests
+-- ============================================
+CREATE TABLE IF NOT EXISTS payouts (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  seller_id UUID REFERENCES users(id) ON DELETE RESTRICT,
+  amount_usd DECIMAL(10, 2) NOT NULL,
+  method VARCHAR(50) DEFAULT 'paypal',
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'rejected')),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payouts_seller ON payouts(seller_id);
+CREATE INDEX IF NOT EXISTS idx_payouts_status ON payouts(status);
+
+-- ============================================
+-- USER_SESSIONS TABLE - Refresh tokens & revocation
+-- ============================================
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  refresh_token_hash VARCHAR(64) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  last_used_at TIMESTAMP DEFAULT NOW(),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON user_sessions(user_id);
+
+ALTER TABLE user_sessions
+ADD COLUMN IF NOT EXISTS two_factor_verified_at TIMESTAMP;
+
+-- Device info for the active sessions list
+ALTER TABLE user_sessions
+ADD COLUMN IF NOT EXISTS client_type VARCHAR(20) DEFAULT 'browser' CHECK (client_type IN ('telegram', 'browser', 'api_client')),
+ADD COLUMN IF NOT EXISTS device VARCHAR(100),
+ADD COLUMN IF NOT EXISTS user_agent TEXT,
+ADD COLUMN IF NOT EXISTS ip_address VARCHAR(45),
+ADD COLUMN IF NOT EXISTS location VARCHAR(100);
+
+-- ============================================
+-- USER_RECOVERY_CODES TABLE - 2FA backup codes
+-- ============================================
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user ON user_recovery_codes(user_id);
+
+-- ============================================
+-- USER_TOKENS TABLE - Email verification & password reset
+-- ============================================
+CREATE TABLE IF NOT EXISTS user_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(30) NOT NULL CHECK (type IN ('email_verification', 'password_reset')),
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_tokens_user ON user_tokens(user_id, type);
+
+-- ============================================
+-- API_TOKENS TABLE - Personal access tokens with scopes
+-- ============================================
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  token_prefix VARCHAR(20) NOT NULL,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  last_used_at TIMESTAMP,
+  expires_at TIMESTAMP,
+  revoked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_tokens_user ON api_tokens(user_id);
+
+-- ============================================
+-- AUTH_EVENTS TABLE - Security audit log & login throttling
+-- ============================================
+CREATE TABLE IF NOT EXISTS auth_events (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  event_type VARCHAR(50) NOT NULL,
+  identifier VARCHAR(255), -- attempted username/email, lower-cased
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_auth_events_user ON auth_events(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_auth_events_identifier ON auth_events(identifier, event_type, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_auth_events_ip ON auth_events(ip_address, event_type, created_at DESC);
+
+-- Case-insensitive login lookups (POST /api/auth/login)
+CREATE INDEX IF NOT EXISTS idx_users_username_lower ON users(LOWER(username));
+CREATE INDEX IF NOT EXISTS idx_users_email_lower ON users(LOWER(email));
+
+-- ============================================
+-- NOTE_MODERATION_LOG TABLE - Approve/reject decisions
+-- ============================================
+CREATE TABLE IF NOT EXISTS note_moderation_log (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  note_id UUID REFERENCES notes(id) ON DELETE CASCADE,
+  moderator_id UUID REFERENCES users(id) ON DELETE SET NULL, -- NULL for seller actions (resubmit, edit, unpublish...)
+  action VARCHAR(20) NOT NULL CHECK (action IN ('approved', 'rejected', 'resubmitted', 'edited', 'unpublished', 'republished', 'deleted')),
+  reason TEXT, -- shown to the seller
+  notes TEXT, -- internal moderator notes
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_moderation_log_note ON note_moderation_log(note_id, created_at DESC);
+
+-- Seller actions (edits, unpublish, delete) are part of the note's history too
+ALTER TABLE note_moderation_log DROP CONSTRAINT IF EXISTS note_moderation_log_action_check;
+ALTER TABLE note_moderation_log ADD CONSTRAINT note_moderation_log_action_check
+  CHECK (action IN ('approved', 'rejected', 'resubmitted', 'edited', 'unpublished', 'republished', 'deleted'));
+
+-- ============================================
+-- SEARCH QUERIES TABLE - Catalog searches for suggestions and analytics
+-- ============================================
+CREATE TABLE IF NOT EXISTS search_queries (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  query TEXT, -- as typed; NULL for filter-only browsing
+  normalized_query TEXT, -- lowercased, whitespace collapsed
+  filters JSONB DEFAULT '{}',
+  result_count INTEGER NOT NULL DEFAULT 0,
+  clicked_note_id UUID REFERENCES notes(id) ON DELETE SET NULL,
+  clicked_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_search_queries_prefix ON search_queries(normalized_query text_pattern_ops);
+CREATE INDEX IF NOT EXISTS idx_search_queries_created ON search_queries(created_at DESC);
+
+-- ============================================
+-- NOTE REVISIONS TABLE - Versions of a note's file, moderated one by one
+-- ============================================
+CREATE TABLE IF NOT EXISTS note_revisions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  note_id UUID REFERENCES notes(id) ON DELETE RESTRICT,
+  revision_number INTEGER NOT NULL,
+  file_url TEXT NOT NULL, -- storage key
+  thumbnail_key TEXT,
+  preview_key TEXT,
+  preview_pages INTEGER,
+  pages INTEGER,
+  changelog TEXT,
+  status VARCHAR(20) DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  rejection_reason TEXT,
+  moderator_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  moderated_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW(),
+  UNIQUE(note_id, revision_number)
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_revisions_status ON note_revisions(status, created_at);
+
+-- Latest approved revision; its file is what notes.file_url points to
+ALTER TABLE notes
+ADD COLUMN IF NOT EXISTS current_revision INTEGER DEFAULT 1;
+
+-- Every note uploaded before revisions existed is its own revision 1, with
+-- the moderation outcome of the note itself (removed notes count as rejected)
+INSERT INTO note_revisions (note_id, revision_number, file_url, thumbnail_key, preview_key, preview_pages, pages, status, created_at)
+SELECT id, 1, file_url, thumbnail_key, preview_key, preview_pages, pages,
+  CASE
+    WHEN status IN ('published', 'unpublished') THEN 'approved'
+    WHEN status = 'pending' THEN 'pending'
+    ELSE 'rejected'
+  END,
+  created_at
+FROM notes
+ON CONFLICT (note_id, revision_number) DO NOTHING;
+
+-- ============================================
+-- NOTIFICATIONS TABLE - In-app notifications
+-- ============================================
+CREATE TABLE IF NOT EXISTS notifications (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  type VARCHAR(50) NOT NULL, -- note_updated, ...
+  title VARCHAR(255) NOT NULL,
+  body TEXT,
+  data JSONB DEFAULT '{}',
+  read_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC);
+
+-- ============================================
+-- REVIEW VOTES TABLE - "Helpful" votes on reviews
+-- ============================================
+ALTER TABLE reviews
+ADD COLUMN IF NOT EXISTS helpful_count INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS seller_reply TEXT,
+ADD COLUMN IF NOT EXISTS seller_replied_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_reviews_note_helpful ON reviews(note_id, helpful_count DESC, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reviews_note_recent ON reviews(note_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS review_votes (
+  review_id UUID REFERENCES reviews(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  PRIMARY KEY (review_id, user_id)
+);
+
+-- Kept in sync by triggers (see TRIGGERS)
+ALTER TABLE notes
+ADD COLUMN IF NOT EXISTS review_count INTEGER DEFAULT 0;
+
+-- ============================================
+-- BUNDLES TABLE - Several of a seller's notes sold as one product
+-- ============================================
+CREATE TABLE IF NOT EXISTS bundles (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  seller_id UUID REFERENCES users(id) ON DELETE RESTRICT,
+  title VARCHAR(255) NOT NULL,
+  description TEXT,
+  price_usd DECIMAL(10, 2) NOT NULL,
+  status VARCHAR(20) DEFAULT 'published' CHECK (status IN ('published', 'unpublished', 'removed')),
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_bundles_seller ON bundles(seller_id);
+CREATE INDEX IF NOT EXISTS idx_bundles_status ON bundles(status, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS bundle_notes (
+  bundle_id UUID REFERENCES bundles(id) ON DELETE CASCADE,
+  note_id UUID REFERENCES notes(id) ON DELETE RESTRICT,
+  position INTEGER DEFAULT 0,
+  PRIMARY KEY (bundle_id, note_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_bundle_notes_note ON bundle_notes(note_id);
+
+-- A bundle sale is one purchase row per included note, each carrying its
+-- share of the bundle price and fees, so per-note access and earnings work
+-- unchanged. Rows of one sale share stripe_payment_id.
+ALTER TABLE purchases
+ADD COLUMN IF NOT EXISTS bundle_id UUID REFERENCES bundles(id) ON DELETE RESTRICT;
+
+CREATE INDEX IF NOT EXISTS idx_purchases_bundle ON purchases(bundle_id) WHERE bundle_id IS NOT NULL;
+
+-- ============================================
+-- COUPONS TABLE - Seller discount codes
+-- ============================================
+CREATE TABLE IF NOT EXISTS coupons (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  seller_id UUID REFERENCES users(id) ON DELETE RESTRICT,
+  code VARCHAR(40) NOT NULL, -- stored uppercase
+  scope VARCHAR(20) NOT NULL CHECK (scope IN ('seller', 'note', 'bundle')),
+  note_id UUID REFERENCES notes(id) ON DELETE RESTRICT, -- scope = 'note'
+  bundle_id UUID REFERENCES bundles(id) ON DELETE RESTRICT, -- scope = 'bundle'
+  discount_type VARCHAR(20) NOT NULL CHECK (discount_type IN ('percent', 'fixed')),
+  discount_value DECIMAL(10, 2) NOT NULL CHECK (discount_value > 0),
+  starts_at TIMESTAMP DEFAULT NOW(),
+  expires_at TIMESTAMP,
+  max_redemptions INTEGER, -- NULL = unlimited
+  per_user_limit INTEGER DEFAULT 1,
+  active BOOLEAN DEFAULT true,
+  created_at TIMESTAMP DEFAULT NOW(),
+  updated_at TIMESTAMP DEFAULT NOW(),
+  CHECK (scope <> 'note' OR note_id IS NOT NULL),
+  CHECK (scope <> 'bundle' OR bundle_id IS NOT NULL)
+);
+
+-- Codes only need to be unique per seller: checkout knows the seller
+CREATE UNIQUE INDEX IF NOT EXISTS idx_coupons_seller_code ON coupons(seller_id, code);
+
+-- Coupon and discount per purchase row, for sales reports
+ALTER TABLE purchases
+ADD COLUMN IF NOT EXISTS coupon_id UUID REFERENCES coupons(id) ON DELETE RESTRICT,
+ADD COLUMN IF NOT EXISTS discount_usd DECIMAL(10, 2) DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_purchases_coupon ON purchases(coupon_id, buyer_id) WHERE coupon_id IS NOT NULL;
+
+-- One row per checkout that uses a coupon. Limits count 'redeemed' rows and
+-- recent 'reserved' ones; a reservation is taken with the coupon row locked
+-- and released when its checkout expires or the buyer starts another one.
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  coupon_id UUID NOT NULL REFERENCES coupons(id) ON DELETE RESTRICT,
+  buyer_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  checkout_session_id VARCHAR(255), -- Stripe checkout session, set once created
+  status VARCHAR(20) DEFAULT 'reserved' CHECK (status IN ('reserved', 'redeemed', 'released')),
+  created_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id, buyer_id) WHERE status <> 'released';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_coupon_redemptions_session ON coupon_redemptions(checkout_session_id);
+
+-- Checkouts from before redemptions had their own table
+INSERT INTO coupon_redemptions (coupon_id, buyer_id, checkout_session_id, status, created_at)
+SELECT DISTINCT ON (stripe_payment_id) coupon_id, buyer_id, stripe_payment_id,
+  CASE WHEN status = 'completed' THEN 'redeemed' ELSE 'reserved' END, created_at
+FROM purchases
+WHERE coupon_id IS NOT NULL AND status IN ('completed', 'pending')
+ORDER BY stripe_payment_id
+ON CONFLICT (checkout_session_id) DO NOTHING;
+
+-- ============================================
+-- WISHLIST TABLE - Saved notes and bundles
+-- ============================================
+CREATE TABLE IF NOT EXISTS wishlist_items (
+  id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  note_id UUID REFERENCES notes(id) ON DELETE CASCADE,
+  bundle_id UUID REFERENCES bundles(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT NOW(),
+  CHECK ((note_id IS NULL) <> (bundle_id IS NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlist_user_note ON wishlist_items(user_id, note_id) WHERE note_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlist_user_bundle ON wishlist_items(user_id, bundle_id) WHERE bundle_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_wishlist_note ON wishlist_items(note_id) WHERE note_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_wishlist_bundle ON wishlist_items(bundle_id) WHERE bundle_id IS NOT NULL;
+
+-- Price buyers last saw on the marketplace, so wishlisters hear about a drop
+-- that only goes live once an edit is approved (kept by a trigger, see TRIGGERS)
+ALTER TABLE notes
+ADD COLUMN IF NOT EXISTS listed_price_usd DECIMAL(10, 2);
+
+-- ============================================
+-- RECOMMENDATIONS - Audience and interest signals
+-- ============================================
+-- Where and at what level the user studies (same values as notes)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS country VARCHAR(50),
+ADD COLUMN IF NOT EXISTS level VARCHAR(50);
+
+-- Up to 20 most frequent words (stemmed, no positions) of the text a user ran
+-- through the AI tools, for recommendations. Included in the data export.
+ALTER TABLE ai_jobs
+ADD COLUMN IF NOT EXISTS topics TEXT[];
+
+-- Replaced by topics: a positional tsvector of the input was close to the text
+ALTER TABLE ai_jobs
+DROP COLUMN IF EXISTS topic_vector;
+
+-- Co-purchase lookups: who bought this note, what else did they buy
+CREATE INDEX IF NOT EXISTS idx_purchases_note_buyer ON purchases(note_id, buyer_id) WHERE status = 'completed';
+CREATE INDEX IF NOT EXISTS idx_purchases_buyer_note ON purchases(buyer_id, note_id) WHERE status = 'completed';
+
+-- ============================================
+-- TRENDING - Daily views and time-decayed popularity scores
+-- ============================================
+CREATE TABLE IF NOT EXISTS note_view_days (
+  note_id UUID REFERENCES notes(id) ON DELETE CASCADE,
+  day DATE NOT NULL DEFAULT CURRENT_DATE,
+  views INTEGER DEFAULT 0,
+  PRIMARY KEY (note_id, day)
+);
+
+-- Who viewed a note today, so repeat views aren't counted. `viewer` is the
+-- user id or a keyed hash of the IP; earlier days are cleared on refresh.
+CREATE TABLE IF NOT EXISTS note_viewers (
+  note_id UUID REFERENCES notes(id) ON DELETE CASCADE,
+  day DATE NOT NULL DEFAULT CURRENT_DATE,
+  viewer VARCHAR(64) NOT NULL,
+  PRIMARY KEY (note_id, day, viewer)
+);
+
+-- Recomputed periodically by services/trending.js (kept off the notes table
+-- so a refresh doesn't touch updated_at or the search vector)
+CREATE TABLE IF NOT EXISTS note_scores (
+  note_id UUID PRIMARY KEY REFERENCES notes(id) ON DELETE CASCADE,
+  trending_score DOUBLE PRECISION DEFAULT 0, -- days-scale half-life
+  hot_score DOUBLE PRECISION DEFAULT 0,      -- hours-scale half-life
+  updated_at TIMESTAMP DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_note_scores_trending ON note_scores(trending_score DESC);
+CREATE INDEX IF NOT EXISTS idx_note_scores_hot ON note_scores(hot_score DESC);
+CREATE INDEX IF NOT EXISTS idx_purchases_completed_at ON purchases(created_at DESC) WHERE status = 'completed';
+CREATE INDEX IF NOT EXISTS idx_reviews_created ON reviews(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_wishlist_created ON wishlist_items(created_at DESC);
+
 -- ============================================
 -- TRIGGERS
 -- ============================================
@@ -184,4 +646,109 @@ $$ language 'plpgsql';
 CREATE OR REPLACE TRIGGER update_notes_updated_at 
   BEFORE UPDATE ON notes
   FOR EACH ROW 
-  EXECUTE FUNCTION update_updated_at_column();
\ No newline at end of file
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE TRIGGER update_bundles_updated_at
+  BEFORE UPDATE ON bundles
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE TRIGGER update_coupons_updated_at
+  BEFORE UPDATE ON coupons
+  FOR EACH ROW
+  EXECUTE FUNCTION update_updated_at_column();
+
+-- Weighted search document: title > tags, subject > description
+CREATE OR REPLACE FUNCTION notes_search_document(title TEXT, description TEXT, tags TEXT[], subject TEXT)
+RETURNS TSVECTOR AS $$
+  SELECT
+    setweight(to_tsvector('english', COALESCE(title, '')), 'A') ||
+    setweight(to_tsvector('english', COALESCE(array_to_string(tags, ' '), '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(subject, '')), 'B') ||
+    setweight(to_tsvector('english', COALESCE(description, '')), 'C');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION update_notes_search_vector()
+RETURNS TRIGGER AS $$
+BEGIN
+   NEW.search_vector = notes_search_document(NEW.title, NEW.description, NEW.tags, NEW.subject);
+   RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE OR REPLACE TRIGGER update_notes_search_vector
+  BEFORE INSERT OR UPDATE OF title, description, tags, subject ON notes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_notes_search_vector();
+
+-- Backfill notes created before search_vector existed
+UPDATE notes SET search_vector = notes_search_document(title, description, tags, subject)
+WHERE search_vector IS NULL;
+
+-- notes.listed_price_usd follows price_usd while the note is published
+CREATE OR REPLACE FUNCTION update_notes_listed_price()
+RETURNS TRIGGER AS $$
+BEGIN
+   IF NEW.status = 'published' THEN
+     NEW.listed_price_usd = NEW.price_usd;
+   END IF;
+   RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+CREATE OR REPLACE TRIGGER update_notes_listed_price
+  BEFORE INSERT OR UPDATE OF status, price_usd ON notes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_notes_listed_price();
+
+-- Backfill notes listed before listed_price_usd existed
+UPDATE notes SET listed_price_usd = price_usd
+WHERE listed_price_usd IS NULL AND status IN ('published', 'unpublished');
+
+-- Keep notes.avg_rating and notes.review_count in sync with reviews
+CREATE OR REPLACE FUNCTION update_note_rating()
+RETURNS TRIGGER AS $$
+DECLARE
+   target_note UUID := COALESCE(NEW.note_id, OLD.note_id);
+BEGIN
+   UPDATE notes SET
+     avg_rating = COALESCE((SELECT ROUND(AVG(rating), 2) FROM reviews WHERE note_id = target_note), 0),
+     review_count = (SELECT COUNT(*) FROM reviews WHERE note_id = target_note)
+   WHERE id = target_note;
+   RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE OR REPLACE TRIGGER update_note_rating
+  AFTER INSERT OR DELETE OR UPDATE OF rating ON reviews
+  FOR EACH ROW
+  EXECUTE FUNCTION update_note_rating();
+
+-- Keep reviews.helpful_count in sync with review_votes
+CREATE OR REPLACE FUNCTION update_review_helpful_count()
+RETURNS TRIGGER AS $$
+BEGIN
+   IF TG_OP = 'INSERT' THEN
+     UPDATE reviews SET helpful_count = helpful_count + 1 WHERE id = NEW.review_id;
+   ELSE
+     UPDATE reviews SET helpful_count = GREATEST(helpful_count - 1, 0) WHERE id = OLD.review_id;
+   END IF;
+   RETURN NULL;
+END;
+$$ language 'plpgsql';
+
+CREATE OR REPLACE TRIGGER update_review_helpful_count
+  AFTER INSERT OR DELETE ON review_votes
+  FOR EACH ROW
+  EXECUTE FUNCTION update_review_helpful_count();
+
+-- Backfill ratings computed before the triggers existed
+UPDATE notes n SET
+  avg_rating = COALESCE(r.avg_rating, 0),
+  review_count = COALESCE(r.review_count, 0)
+FROM notes n2
+LEFT JOIN (
+  SELECT note_id, ROUND(AVG(rating), 2) AS avg_rating, COUNT(*) AS review_count
+  FROM reviews GROUP BY note_id
+) r ON r.note_id = n2.id
+WHERE n.id = n2.id AND n.review_count IS DISTINCT FROM COALESCE(r.review_count, 0);
@@ -5,10 +5,14 @@ const rateLimit = require('express-rate-limit');
 const db = require('./db');
 require('dotenv').config();
 const { authenticateUser } = require('./middleware/auth');
+const { startTrendingRefresh } = require('./services/trending');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
 
+// Behind the App Engine / Railway proxy: use X-Forwarded-For for req.ip
+app.set('trust proxy', 1);
+
 // Remove this line - Railway provides DATABASE_URL automatically
 // const DATABASE_URL = process.env.DATABASE_URL;
 
@@ -65,19 +69,23 @@ app.get('/api/health-check', async (req, res) => {
 // Apply rate limiter to API routes (after health checks)
 app.use('/api/', limiter);
 
-// Static files
-const path = require('path');
-app.use('/files', express.static(path.join(process.env.FILES_DIR || '/data/files')));
+// Note files are never served statically; see GET /api/notes/:id/download
 
 // API Routes
+app.use('/api/auth/tokens', require('./routes/apiTokens'));
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/ai', require('./routes/ai'));
+app.use('/api/notes/:noteId/reviews', require('./routes/reviews'));
 app.use('/api/notes', require('./routes/notes'));
+app.use('/api/bundles', require('./routes/bundles'));
+app.use('/api/coupons', require('./routes/coupons'));
+app.use('/api/wishlist', require('./routes/wishlist'));
 app.use('/api/purchases', require('./routes/purchases'));
 app.use('/api/users', require('./routes/users'));
 app.use('/webhooks', require('./routes/webhooks'));
 app.use('/api/referrals', require('./routes/referrals'));
 app.use('/api/gamification', require('./routes/gamification'));
+app.use('/api/admin', require('./routes/admin'));
 
 // Error handler
 app.use((err, req, res, next) => {
@@ -91,6 +99,7 @@ app.use((err, req, res, next) => {
 // Start server
 app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 NoteX API running on port ${PORT}`);
+  startTrendingRefresh();
 });
 
 module.exports = app;
\ No newline at end of file
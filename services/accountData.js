@@ -0,0 +1,126 @@
+// services/accountData.js
+// Personal data export and account deletion
+
+const db = require('../db');
+
+// Everything we hold about a user, one entry per file in the export archive
+const collectUserData = async (userId) => {
+  const queries = {
+    profile: `SELECT id, telegram_id, username, first_name, email, email_verified_at, role, plan,
+        credits, wallet_balance, referral_code, referrals_count, premium_until, country, level, last_login, created_at
+       FROM users WHERE id = $1`,
+    purchases: `SELECT p.id, p.note_id, n.title, p.amount_usd, p.fee_usd, p.status, p.created_at
+       FROM purchases p
+       LEFT JOIN notes n ON p.note_id = n.id
+       WHERE p.buyer_id = $1
+       ORDER BY p.created_at DESC`,
+    sales: `SELECT p.id, p.note_id, n.title, p.amount_usd, p.fee_usd, p.status, p.created_at
+       FROM purchases p
+       JOIN notes n ON p.note_id = n.id
+       WHERE n.seller_id = $1
+       ORDER BY p.created_at DESC`,
+    notes: `SELECT id, title, description, type, genre, subject, level, country, price_usd, pages,
+        tags, status, views, purchase_count, avg_rating, created_at, updated_at
+       FROM notes WHERE seller_id = $1
+       ORDER BY created_at DESC`,
+    reviews: `SELECT r.id, r.note_id, n.title, r.rating, r.comment, r.created_at
+       FROM reviews r
+       LEFT JOIN notes n ON r.note_id = n.id
+       WHERE r.user_id = $1
+       ORDER BY r.created_at DESC`,
+    referrals: `SELECT r.id, r.referrer_id, r.referred_id, r.reward_credits, r.created_at,
+        CASE WHEN r.referrer_id = $1 THEN 'referred_someone' ELSE 'was_referred' END AS direction
+       FROM referrals r
+       WHERE r.referrer_id = $1 OR r.referred_id = $1
+       ORDER BY r.created_at DESC`,
+    ai_jobs: `SELECT id, job_type, output, topics, cost_units, created_at
+       FROM ai_jobs WHERE user_id = $1
+       ORDER BY created_at DESC`,
+    activities: `SELECT id, activity_type, credits_earned, created_at
+       FROM user_activities WHERE user_id = $1
+       ORDER BY created_at DESC`,
+    payouts: `SELECT id, amount_usd, method, status, created_at
+       FROM payouts WHERE seller_id = $1
+       ORDER BY created_at DESC`,
+    wishlist: `SELECT note_id, bundle_id, created_at
+       FROM wishlist_items WHERE user_id = $1
+       ORDER BY created_at DESC`,
+    notifications: `SELECT type, title, body, data, read_at, created_at
+       FROM notifications WHERE user_id = $1
+       ORDER BY created_at DESC`,
+    security_events: `SELECT event_type, ip_address, user_agent, metadata, created_at
+       FROM auth_events WHERE user_id = $1
+       ORDER BY created_at DESC`
+  };
+
+  const data = {};
+
+  for (const [name, sql] of Object.entries(queries)) {
+    const result = await db.query(sql, [userId]);
+    data[name] = name === 'profile' ? result.rows[0] : result.rows;
+  }
+
+  return data;
+};
+
+// Remove personal data but keep the user row (and its purchases, sales and
+// payouts) so buyers, sellers and accounting never lose their records.
+const deleteAccount = async (userId) => {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Hide the seller's listings; existing buyers keep download access
+    await client.query(
+      `UPDATE notes SET status = 'removed' WHERE seller_id = $1 AND status <> 'removed'`,
+      [userId]
+    );
+
+    await client.query('DELETE FROM review_votes WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM reviews WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM referrals WHERE referrer_id = $1 OR referred_id = $1', [userId]);
+    await client.query('DELETE FROM ai_jobs WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM user_activities WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM api_tokens WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM user_tokens WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM auth_events WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM wishlist_items WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM notifications WHERE user_id = $1', [userId]);
+    await client.query('DELETE FROM user_sessions WHERE user_id = $1', [userId]);
+
+    await client.query(
+      `UPDATE users SET
+         username = 'deleted-' || SUBSTRING(id::text, 1, 8),
+         telegram_id = NULL,
+         first_name = NULL,
+         email = NULL,
+         email_verified_at = NULL,
+         password_hash = NULL,
+         totp_secret = NULL,
+         totp_enabled_at = NULL,
+         totp_last_step = NULL,
+         session_token = NULL,
+         referral_code = NULL,
+         role = 'user',
+         plan = 'free',
+         credits = 0,
+         premium_until = NULL,
+         country = NULL,
+         level = NULL,
+         deleted_at = NOW()
+       WHERE id = $1`,
+      [userId]
+    );
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+module.exports = { collectUserData, deleteAccount };
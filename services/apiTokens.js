@@ -0,0 +1,94 @@
+// services/apiTokens.js
+// Personal API tokens for scripts and integrations
+
+const crypto = require('crypto');
+const db = require('../db');
+
+const TOKEN_PREFIX = 'ntx_';
+const MAX_TOKENS_PER_USER = 10;
+
+const SCOPES = [
+  'notes:read',
+  'notes:write',
+  'ai:use',
+  'purchases:read',
+  'purchases:write',
+  'profile:read'
+];
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const isApiToken = (token) => {
+  return typeof token === 'string' && token.startsWith(TOKEN_PREFIX);
+};
+
+// Returns the plaintext token once; only its hash is stored
+const createApiToken = async (userId, { name, scopes, expiresInDays }) => {
+  const count = await db.query(
+    'SELECT COUNT(*) AS count FROM api_tokens WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+
+  if (parseInt(count.rows[0].count) >= MAX_TOKENS_PER_USER) {
+    const error = new Error(`You can have at most ${MAX_TOKENS_PER_USER} active API tokens`);
+    error.status = 400;
+    throw error;
+  }
+
+  const token = TOKEN_PREFIX + crypto.randomBytes(20).toString('hex');
+
+  const result = await db.query(
+    `INSERT INTO api_tokens (user_id, name, token_prefix, token_hash, scopes, expires_at)
+     VALUES ($1, $2, $3, $4, $5, CASE WHEN $6::int IS NULL THEN NULL ELSE NOW() + make_interval(days => $6::int) END)
+     RETURNING id, name, token_prefix, scopes, expires_at, created_at`,
+    [userId, name, token.substring(0, TOKEN_PREFIX.length + 6), hashToken(token), scopes, expiresInDays || null]
+  );
+
+  return { token, apiToken: result.rows[0] };
+};
+
+const listApiTokens = async (userId) => {
+  const result = await db.query(
+    `SELECT id, name, token_prefix, scopes, last_used_at, expires_at, created_at
+     FROM api_tokens
+     WHERE user_id = $1 AND revoked_at IS NULL
+     ORDER BY created_at DESC`,
+    [userId]
+  );
+
+  return result.rows;
+};
+
+const revokeApiToken = async (userId, tokenId) => {
+  const result = await db.query(
+    `UPDATE api_tokens SET revoked_at = NOW()
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [tokenId, userId]
+  );
+
+  return result.rowCount > 0;
+};
+
+// Look up an active token and stamp last_used_at
+const findActiveApiToken = async (token) => {
+  const result = await db.query(
+    `UPDATE api_tokens SET last_used_at = NOW()
+     WHERE token_hash = $1 AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > NOW())
+     RETURNING id, user_id, scopes`,
+    [hashToken(token)]
+  );
+
+  return result.rows[0] || null;
+};
+
+module.exports = {
+  SCOPES,
+  isApiToken,
+  createApiToken,
+  listApiTokens,
+  revokeApiToken,
+  findActiveApiToken
+};
@@ -0,0 +1,38 @@
+// services/authEvents.js
+// Security audit log: logins, failures, token refreshes, password changes...
+
+const db = require('../db');
+
+// IP + user agent of the current request, for logAuthEvent
+const requestContext = (req) => ({
+  ip: req.ip,
+  userAgent: (req.headers['user-agent'] || '').substring(0, 500)
+});
+
+// Never throws: a failed audit write must not break the login itself
+const logAuthEvent = async ({ userId = null, type, identifier = null, ip = null, userAgent = null, metadata = {} }) => {
+  try {
+    await db.query(
+      `INSERT INTO auth_events (user_id, event_type, identifier, ip_address, user_agent, metadata)
+       VALUES ($1, $2, $3, $4, $5, $6)`,
+      [userId, type, identifier, ip, userAgent, JSON.stringify(metadata)]
+    );
+  } catch (error) {
+    console.error('Auth event log error:', error);
+  }
+};
+
+const listAuthEvents = async (userId, { limit = 50, offset = 0 } = {}) => {
+  const result = await db.query(
+    `SELECT id, event_type, ip_address, user_agent, metadata, created_at
+     FROM auth_events
+     WHERE user_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2 OFFSET $3`,
+    [userId, limit, offset]
+  );
+
+  return result.rows;
+};
+
+module.exports = { requestContext, logAuthEvent, listAuthEvents };
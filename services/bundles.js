@@ -0,0 +1,165 @@
+// services/bundles.js
+// Bundles: several of a seller's published notes sold together at a discount
+
+const db = require('../db');
+
+const MIN_BUNDLE_NOTES = 2;
+const MAX_BUNDLE_NOTES = 20;
+
+// A published bundle is only on sale while every note in it is published
+const PURCHASABLE_CLAUSE = `b.status = 'published' AND NOT EXISTS (
+  SELECT 1 FROM bundle_notes bn
+  JOIN notes bnn ON bn.note_id = bnn.id
+  WHERE bn.bundle_id = b.id AND bnn.status <> 'published'
+)`;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Check the seller's chosen notes and the bundle price. Returns the notes in
+// the given order, or throws an error with status 400.
+const validateBundle = async (sellerId, noteIds, price) => {
+  const uniqueIds = [...new Set(noteIds || [])];
+
+  if (uniqueIds.length < MIN_BUNDLE_NOTES || uniqueIds.length > MAX_BUNDLE_NOTES) {
+    throw badRequest(`A bundle needs between ${MIN_BUNDLE_NOTES} and ${MAX_BUNDLE_NOTES} notes`);
+  }
+
+  const result = await db.query(
+    `SELECT id, title, price_usd FROM notes
+     WHERE id = ANY($1::uuid[]) AND seller_id = $2 AND status = 'published'`,
+    [uniqueIds, sellerId]
+  );
+
+  if (result.rows.length !== uniqueIds.length) {
+    throw badRequest('Bundles can only contain your own published notes');
+  }
+
+  const notes = uniqueIds.map(id => result.rows.find(note => note.id === id));
+  const listPrice = notes.reduce((sum, note) => sum + parseFloat(note.price_usd), 0);
+
+  if (!(price >= 0.99)) {
+    throw badRequest('Minimum bundle price is $0.99');
+  }
+
+  if (price >= listPrice) {
+    throw badRequest(`Bundle price must be lower than the notes' combined price ($${listPrice.toFixed(2)})`);
+  }
+
+  return notes;
+};
+
+const setBundleNotes = async (client, bundleId, notes) => {
+  await client.query('DELETE FROM bundle_notes WHERE bundle_id = $1', [bundleId]);
+  await client.query(
+    `INSERT INTO bundle_notes (bundle_id, note_id, position)
+     SELECT $1, note_id, position - 1
+     FROM unnest($2::uuid[]) WITH ORDINALITY AS t(note_id, position)`,
+    [bundleId, notes.map(note => note.id)]
+  );
+};
+
+// Run fn(client) in a transaction
+const withTransaction = async (fn) => {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+const createBundle = (sellerId, { title, description, price }, notes) => {
+  return withTransaction(async (client) => {
+    const result = await client.query(`
+      INSERT INTO bundles (seller_id, title, description, price_usd)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `, [sellerId, title, description || null, price]);
+
+    await setBundleNotes(client, result.rows[0].id, notes);
+
+    return result.rows[0];
+  });
+};
+
+// Omitted fields keep their value; notes are replaced only when given
+const updateBundle = (bundleId, { title, description, price, status }, notes) => {
+  return withTransaction(async (client) => {
+    const result = await client.query(`
+      UPDATE bundles SET
+        title = COALESCE($2, title),
+        description = COALESCE($3, description),
+        price_usd = COALESCE($4, price_usd),
+        status = COALESCE($5, status)
+      WHERE id = $1
+      RETURNING *
+    `, [bundleId, title || null, description ?? null, price ?? null, status || null]);
+
+    if (notes) {
+      await setBundleNotes(client, bundleId, notes);
+    }
+
+    return result.rows[0];
+  });
+};
+
+// Notes in a bundle, in the seller's order
+const getBundleNotes = async (bundleId) => {
+  const result = await db.query(`
+    SELECT n.id, n.title, n.subject, n.level, n.price_usd, n.pages, n.thumbnail_url,
+      n.avg_rating, n.review_count, n.status
+    FROM bundle_notes bn
+    JOIN notes n ON bn.note_id = n.id
+    WHERE bn.bundle_id = $1
+    ORDER BY bn.position
+  `, [bundleId]);
+
+  return result.rows;
+};
+
+// A bundle the buyer can check out, with its notes, or null
+const findPurchasableBundle = async (bundleId) => {
+  const result = await db.query(
+    `SELECT b.* FROM bundles b WHERE b.id = $1 AND ${PURCHASABLE_CLAUSE}`,
+    [bundleId]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return { ...result.rows[0], notes: await getBundleNotes(bundleId) };
+};
+
+// The bundle's notes the buyer doesn't own yet
+const getUnownedNotes = async (bundle, buyerId) => {
+  const result = await db.query(
+    `SELECT DISTINCT note_id FROM purchases
+     WHERE buyer_id = $1 AND status = 'completed' AND note_id = ANY($2::uuid[])`,
+    [buyerId, bundle.notes.map(note => note.id)]
+  );
+
+  const owned = new Set(result.rows.map(row => row.note_id));
+  return bundle.notes.filter(note => !owned.has(note.id));
+};
+
+module.exports = {
+  PURCHASABLE_CLAUSE,
+  validateBundle,
+  createBundle,
+  updateBundle,
+  getBundleNotes,
+  findPurchasableBundle,
+  getUnownedNotes
+};
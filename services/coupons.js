@@ -0,0 +1,326 @@
+// services/coupons.js
+// Seller coupon codes: validation and redemption limits at checkout
+// (discount math is in services/pricing.js)
+
+const db = require('../db');
+const { notifyWishlisters } = require('./notifications');
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,40}$/;
+
+// Checkouts with a coupon expire after this long (Stripe's minimum is 30).
+// Open reservations count towards the limits a little longer, in case the
+// expiry webhook is late.
+const CHECKOUT_EXPIRY_MINUTES = 31;
+const RESERVATION_MINUTES = 35;
+
+// Redemptions counting towards max_redemptions: paid ones, plus other
+// buyers' open checkouts ($3 is the buyer, whose own open checkout is
+// replaced by the new one)
+const REDEEMED_CLAUSE = `(r.status = 'redeemed' OR (r.status = 'reserved' AND r.buyer_id <> $3
+  AND r.created_at > NOW() - make_interval(mins => ${RESERVATION_MINUTES})))`;
+
+const couponError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Validate a seller's coupon definition. Returns the row values to store,
+// or throws an error with status 400.
+const validateCouponInput = async (sellerId, input) => {
+  const code = normalizeCode(input.code);
+  const { scope, noteId, bundleId, discountType } = input;
+  const discountValue = parseFloat(input.discountValue);
+
+  if (!CODE_PATTERN.test(code)) {
+    throw couponError('Code must be 3-40 letters, digits, "-" or "_"');
+  }
+
+  if (!['seller', 'note', 'bundle'].includes(scope)) {
+    throw couponError('Scope must be seller, note or bundle');
+  }
+
+  if (!['percent', 'fixed'].includes(discountType)) {
+    throw couponError('Discount type must be percent or fixed');
+  }
+
+  if (!(discountValue > 0) || (discountType === 'percent' && discountValue > 90)) {
+    throw couponError('Discount must be positive (at most 90%)');
+  }
+
+  if (scope === 'note') {
+    const note = await db.query('SELECT id FROM notes WHERE id = $1 AND seller_id = $2', [noteId, sellerId]);
+    if (!noteId || note.rows.length === 0) {
+      throw couponError('Note not found among your notes');
+    }
+  }
+
+  if (scope === 'bundle') {
+    const bundle = await db.query('SELECT id FROM bundles WHERE id = $1 AND seller_id = $2', [bundleId, sellerId]);
+    if (!bundleId || bundle.rows.length === 0) {
+      throw couponError('Bundle not found among your bundles');
+    }
+  }
+
+  const startsAt = input.startsAt ? new Date(input.startsAt) : new Date();
+  const expiresAt = input.expiresAt ? new Date(input.expiresAt) : null;
+
+  if (isNaN(startsAt) || (expiresAt && isNaN(expiresAt))) {
+    throw couponError('startsAt and expiresAt must be valid dates');
+  }
+
+  if (expiresAt && expiresAt <= startsAt) {
+    throw couponError('expiresAt must be after startsAt');
+  }
+
+  const maxRedemptions = input.maxRedemptions != null ? parseInt(input.maxRedemptions) : null;
+  const perUserLimit = input.perUserLimit != null ? parseInt(input.perUserLimit) : 1;
+
+  if ((maxRedemptions !== null && !(maxRedemptions > 0)) || !(perUserLimit > 0)) {
+    throw couponError('maxRedemptions and perUserLimit must be positive numbers');
+  }
+
+  return {
+    code,
+    scope,
+    noteId: scope === 'note' ? noteId : null,
+    bundleId: scope === 'bundle' ? bundleId : null,
+    discountType,
+    discountValue,
+    startsAt,
+    expiresAt,
+    maxRedemptions,
+    perUserLimit
+  };
+};
+
+const selectCoupon = (client, { code, sellerId, userId }) => client.query(`
+  SELECT c.*,
+    (SELECT COUNT(*) FROM coupon_redemptions r
+     WHERE r.coupon_id = c.id AND ${REDEEMED_CLAUSE}) as redemptions,
+    (SELECT COUNT(*) FROM coupon_redemptions r
+     WHERE r.coupon_id = c.id AND r.buyer_id = $3 AND r.status = 'redeemed') as user_redemptions
+  FROM coupons c
+  WHERE c.seller_id = $1 AND c.code = $2
+`, [sellerId, normalizeCode(code), userId]);
+
+// Throws an error with status 400 unless the coupon applies to the product
+// and the buyer can still use it
+const checkCoupon = (coupon, { noteId, bundleId }) => {
+  const now = new Date();
+
+  if (!coupon || !coupon.active) {
+    throw couponError('Invalid coupon code');
+  }
+
+  if (coupon.starts_at && new Date(coupon.starts_at) > now) {
+    throw couponError('This coupon is not active yet');
+  }
+
+  if (coupon.expires_at && new Date(coupon.expires_at) <= now) {
+    throw couponError('This coupon has expired');
+  }
+
+  const applies = coupon.scope === 'seller'
+    || (coupon.scope === 'note' && noteId && coupon.note_id === noteId)
+    || (coupon.scope === 'bundle' && bundleId && coupon.bundle_id === bundleId);
+
+  if (!applies) {
+    throw couponError('This coupon does not apply to this item');
+  }
+
+  if (coupon.max_redemptions !== null && parseInt(coupon.redemptions) >= coupon.max_redemptions) {
+    throw couponError('This coupon has been fully redeemed');
+  }
+
+  if (parseInt(coupon.user_redemptions) >= coupon.per_user_limit) {
+    throw couponError('You have already used this coupon');
+  }
+
+  return coupon;
+};
+
+// The seller's coupon for this code if it applies to the product and the
+// buyer can still use it; otherwise throws an error with status 400.
+// Only a preview: checkout must reserve the coupon with reserveCoupon.
+const findApplicableCoupon = async ({ code, sellerId, noteId = null, bundleId = null, userId }) => {
+  const result = await selectCoupon(db, { code, sellerId, userId });
+  return checkCoupon(result.rows[0], { noteId, bundleId });
+};
+
+// Check the coupon and hold one redemption for a checkout about to be
+// created. The coupon row stays locked until the reservation is stored, so
+// concurrent checkouts can't go over its limits. The buyer's earlier open
+// checkouts with this coupon lose their reservation; their session ids are
+// returned as `releasedSessionIds` so the caller can expire them.
+const reserveCoupon = async ({ code, sellerId, noteId = null, bundleId = null, userId }) => {
+  const client = await db.pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock first, then count in a new statement that sees committed reservations
+    await client.query(
+      'SELECT id FROM coupons WHERE seller_id = $1 AND code = $2 FOR UPDATE',
+      [sellerId, normalizeCode(code)]
+    );
+
+    const result = await selectCoupon(client, { code, sellerId, userId });
+    const coupon = checkCoupon(result.rows[0], { noteId, bundleId });
+
+    const released = await client.query(
+      `UPDATE coupon_redemptions SET status = 'released'
+       WHERE coupon_id = $1 AND buyer_id = $2 AND status = 'reserved'
+       RETURNING checkout_session_id`,
+      [coupon.id, userId]
+    );
+
+    const reservation = await client.query(
+      `INSERT INTO coupon_redemptions (coupon_id, buyer_id) VALUES ($1, $2) RETURNING id`,
+      [coupon.id, userId]
+    );
+
+    await client.query('COMMIT');
+
+    return {
+      ...coupon,
+      reservationId: reservation.rows[0].id,
+      releasedSessionIds: released.rows.map(row => row.checkout_session_id).filter(Boolean)
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Link a reservation to the Stripe checkout session it was made for
+const attachCouponReservation = async (reservationId, sessionId) => {
+  await db.query(
+    'UPDATE coupon_redemptions SET checkout_session_id = $2 WHERE id = $1',
+    [reservationId, sessionId]
+  );
+};
+
+// Give a redemption back, by reservation id (checkout creation failed) or
+// by checkout session (Stripe expired it)
+const releaseCouponReservation = async ({ reservationId = null, sessionId = null }) => {
+  await db.query(
+    `UPDATE coupon_redemptions SET status = 'released'
+     WHERE (id = $1 OR checkout_session_id = $2) AND status = 'reserved'`,
+    [reservationId, sessionId]
+  );
+};
+
+// The checkout was paid
+const redeemCouponReservation = async (sessionId) => {
+  await db.query(
+    `UPDATE coupon_redemptions SET status = 'redeemed' WHERE checkout_session_id = $1`,
+    [sessionId]
+  );
+};
+
+// Stripe expires_at for a checkout that holds a coupon reservation
+const checkoutExpiresAt = () => Math.floor(Date.now() / 1000) + CHECKOUT_EXPIRY_MINUTES * 60;
+
+const listSellerCoupons = async (sellerId) => {
+  const result = await db.query(`
+    SELECT c.*, n.title as note_title, b.title as bundle_title,
+      (SELECT COUNT(DISTINCT stripe_payment_id) FROM purchases
+       WHERE coupon_id = c.id AND status = 'completed') as redemptions,
+      (SELECT SUM(discount_usd) FROM purchases
+       WHERE coupon_id = c.id AND status = 'completed') as total_discount_usd
+    FROM coupons c
+    LEFT JOIN notes n ON c.note_id = n.id
+    LEFT JOIN bundles b ON c.bundle_id = b.id
+    WHERE c.seller_id = $1
+    ORDER BY c.created_at DESC
+  `, [sellerId]);
+
+  return result.rows;
+};
+
+// True if buyers can redeem the coupon now or later: active, not expired
+// and not used up
+const isCouponUsable = async (coupon) => {
+  if (!coupon.active || (coupon.expires_at && new Date(coupon.expires_at) <= new Date())) {
+    return false;
+  }
+
+  if (coupon.max_redemptions === null) {
+    return true;
+  }
+
+  const result = await db.query(
+    `SELECT COUNT(*) as redemptions FROM coupon_redemptions WHERE coupon_id = $1 AND status = 'redeemed'`,
+    [coupon.id]
+  );
+
+  return parseInt(result.rows[0].redemptions) < coupon.max_redemptions;
+};
+
+// Tell users with a covered note or bundle on their wishlist about a coupon
+// that has just been created or switched back on, unless it can't be used
+// (e.g. reactivated after it expired or ran out). Never throws.
+const notifyCouponWishlisters = async (coupon) => {
+  let noteIds = coupon.note_id ? [coupon.note_id] : [];
+  let bundleIds = coupon.bundle_id ? [coupon.bundle_id] : [];
+
+  try {
+    if (!(await isCouponUsable(coupon))) {
+      return 0;
+    }
+  } catch (error) {
+    console.error('Coupon notification error:', error);
+    return 0;
+  }
+
+  if (coupon.scope === 'seller') {
+    try {
+      const notes = await db.query(`SELECT id FROM notes WHERE seller_id = $1 AND status = 'published'`, [coupon.seller_id]);
+      const bundles = await db.query(`SELECT id FROM bundles WHERE seller_id = $1 AND status = 'published'`, [coupon.seller_id]);
+      noteIds = notes.rows.map(row => row.id);
+      bundleIds = bundles.rows.map(row => row.id);
+    } catch (error) {
+      console.error('Coupon notification error:', error);
+      return 0;
+    }
+  }
+
+  const discount = coupon.discount_type === 'percent'
+    ? `${parseFloat(coupon.discount_value)}% off`
+    : `$${parseFloat(coupon.discount_value).toFixed(2)} off`;
+  const startsLater = coupon.starts_at && new Date(coupon.starts_at) > new Date();
+  const validity = [
+    startsLater && `from ${new Date(coupon.starts_at).toDateString()}`,
+    coupon.expires_at && `until ${new Date(coupon.expires_at).toDateString()}`
+  ].filter(Boolean).join(' ');
+
+  return notifyWishlisters({ noteIds, bundleIds }, {
+    type: 'wishlist_coupon',
+    title: `Coupon ${coupon.code}: ${discount} an item on your wishlist`,
+    body: validity ? `Valid ${validity}.` : null,
+    data: {
+      couponCode: coupon.code,
+      sellerId: coupon.seller_id,
+      noteId: coupon.note_id,
+      bundleId: coupon.bundle_id
+    }
+  });
+};
+
+module.exports = {
+  normalizeCode,
+  validateCouponInput,
+  findApplicableCoupon,
+  reserveCoupon,
+  attachCouponReservation,
+  releaseCouponReservation,
+  redeemCouponReservation,
+  checkoutExpiresAt,
+  listSellerCoupons,
+  notifyCouponWishlisters
+};
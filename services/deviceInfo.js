@@ -0,0 +1,71 @@
+// services/deviceInfo.js
+// Human-readable client/device/location labels for the sessions list
+
+const BROWSERS = [
+  ['Edge', /Edg\//],
+  ['Opera', /OPR\//],
+  ['Chrome', /Chrome\//],
+  ['Firefox', /Firefox\//],
+  ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+  ['Android', /Android/],
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['Linux', /Linux/]
+];
+
+const API_CLIENTS = /curl|wget|python-requests|axios|node-fetch|undici|okhttp|Postman|insomnia|Go-http-client/i;
+
+// "Chrome on Windows", "Safari on iOS", "curl"...
+const describeDevice = (userAgent = '') => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const apiClient = userAgent.match(API_CLIENTS);
+  if (apiClient) {
+    return apiClient[0];
+  }
+
+  const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0] || 'Browser';
+  const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+  return platform ? `${browser} on ${platform}` : browser;
+};
+
+// Location from the geo headers our hosting proxies add (no IP database needed)
+const describeLocation = (headers) => {
+  const city = headers['x-appengine-city'];
+  const country = headers['x-appengine-country'] || headers['cf-ipcountry'];
+
+  const parts = [city, country]
+    .filter(part => part && part !== '?' && part !== 'ZZ' && part !== 'XX')
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1));
+
+  return parts.length > 0 ? parts.join(', ') : null;
+};
+
+// Session metadata for a login request
+const describeClient = (req, loginMethod) => {
+  const userAgent = (req.headers['user-agent'] || '').substring(0, 500);
+
+  let clientType = 'browser';
+  if (loginMethod === 'telegram') {
+    clientType = 'telegram';
+  } else if (API_CLIENTS.test(userAgent)) {
+    clientType = 'api_client';
+  }
+
+  return {
+    clientType,
+    device: describeDevice(userAgent),
+    userAgent,
+    ip: req.ip,
+    location: describeLocation(req.headers)
+  };
+};
+
+module.exports = { describeDevice, describeLocation, describeClient };
@@ -0,0 +1,63 @@
+// services/downloadLinks.js
+// Short-lived HMAC-signed download URLs, bound to one note and one buyer
+// (and optionally one revision of the note)
+
+const crypto = require('crypto');
+
+const DOWNLOAD_URL_TTL = parseInt(process.env.DOWNLOAD_URL_TTL) || 5 * 60; // seconds
+
+let secret = process.env.DOWNLOAD_URL_SECRET || process.env.JWT_SECRET;
+if (!secret) {
+  console.warn('⚠️  DOWNLOAD_URL_SECRET not set; download links will not survive a restart');
+  secret = crypto.randomBytes(32).toString('hex');
+}
+
+const sign = (noteId, buyerId, expires, revision) => {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${noteId}:${buyerId}:${expires}:${revision || ''}`)
+    .digest('hex');
+};
+
+// Absolute URL of the streaming endpoint for this buyer. Without a revision
+// the link serves whatever is the latest revision when it's opened.
+const createDownloadUrl = (req, noteId, buyerId, { revision } = {}) => {
+  const expires = Math.floor(Date.now() / 1000) + DOWNLOAD_URL_TTL;
+  const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+  const params = new URLSearchParams({
+    buyer: buyerId,
+    expires: String(expires),
+    ...(revision ? { revision: String(revision) } : {}),
+    sig: sign(noteId, buyerId, expires, revision)
+  });
+
+  return {
+    url: `${baseUrl}/api/notes/${noteId}/file?${params}`,
+    expiresIn: DOWNLOAD_URL_TTL
+  };
+};
+
+// Returns the buyer id if the signature is valid and unexpired, else null
+const verifyDownloadSignature = (noteId, { buyer, expires, revision, sig }) => {
+  // Repeated query params arrive as arrays; hex decoding would also stop at
+  // the first bad character, so only a well-formed signature gets compared
+  if (typeof buyer !== 'string' || !expires || typeof sig !== 'string' || !/^[0-9a-f]{64}$/.test(sig)) {
+    return null;
+  }
+
+  if (parseInt(expires) < Math.floor(Date.now() / 1000)) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(noteId, buyer, expires, revision), 'hex');
+  const given = Buffer.from(String(sig), 'hex');
+
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    return null;
+  }
+
+  return buyer;
+};
+
+module.exports = { createDownloadUrl, verifyDownloadSignature };
@@ -0,0 +1,45 @@
+// services/emails.js
+// Transactional emails
+
+const { sendMail } = require('./mailer');
+const { createUserToken } = require('./userTokens');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || 'https://notex-app.web.app';
+
+const escapeHtml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const greeting = (user) => user.username || 'there';
+
+const sendVerificationEmail = async (user) => {
+  const token = await createUserToken(user.id, 'email_verification');
+  const link = `${FRONTEND_URL}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your NoteX email',
+    text: `Hi ${greeting(user)},\n\nConfirm your email address by opening this link:\n${link}\n\nThe link expires in 48 hours.`,
+    html: `<p>Hi ${escapeHtml(greeting(user))},</p><p><a href="${link}">Confirm your email address</a></p><p>The link expires in 48 hours.</p>`
+  });
+};
+
+// Also sent to accounts without a password yet (signed up by email link or
+// Telegram), which use it to set one
+const sendPasswordResetEmail = async (user) => {
+  const token = await createUserToken(user.id, 'password_reset');
+  const link = `${FRONTEND_URL}/reset-password?token=${token}`;
+  const action = user.has_password === false ? 'Set' : 'Reset';
+
+  await sendMail({
+    to: user.email,
+    subject: `${action} your NoteX password`,
+    text: `Hi ${greeting(user)},\n\n${action} your password by opening this link:\n${link}\n\nThe link expires in 1 hour. If you didn't request this, you can ignore this email.`,
+    html: `<p>Hi ${escapeHtml(greeting(user))},</p><p><a href="${link}">${action} your password</a></p><p>The link expires in 1 hour. If you didn't request this, you can ignore this email.</p>`
+  });
+};
+
+module.exports = { sendVerificationEmail, sendPasswordResetEmail };
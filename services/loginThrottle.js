@@ -0,0 +1,67 @@
+// services/loginThrottle.js
+// Progressive lockout for password logins, per account and per IP.
+// Counts recent `login_failed` rows in auth_events, so it works across instances.
+
+const db = require('../db');
+
+// After N failures, block for M minutes (longest matching rule wins)
+const ACCOUNT_LOCKOUT = [
+  { failures: 5, minutes: 1 },
+  { failures: 10, minutes: 5 },
+  { failures: 15, minutes: 15 },
+  { failures: 20, minutes: 60 }
+];
+
+const IP_LOCKOUT = [
+  { failures: 20, minutes: 5 },
+  { failures: 50, minutes: 30 },
+  { failures: 100, minutes: 60 }
+];
+
+const normalizeIdentifier = (identifier) => {
+  return String(identifier || '').trim().toLowerCase();
+};
+
+// Seconds left on the lock, or 0
+const remainingLock = (failures, lastFailure, schedule) => {
+  const rule = schedule.filter(r => failures >= r.failures).pop();
+
+  if (!rule || !lastFailure) {
+    return 0;
+  }
+
+  const unlockAt = new Date(lastFailure).getTime() + rule.minutes * 60 * 1000;
+  return Math.max(0, Math.ceil((unlockAt - Date.now()) / 1000));
+};
+
+const checkLoginThrottle = async ({ identifier, ip }) => {
+  // Account failures since the last successful login (within the last hour)
+  const account = await db.query(
+    `SELECT COUNT(*) AS failures, MAX(created_at) AS last_failure
+     FROM auth_events
+     WHERE event_type = 'login_failed' AND identifier = $1
+       AND created_at > NOW() - INTERVAL '1 hour'
+       AND created_at > COALESCE(
+         (SELECT MAX(created_at) FROM auth_events WHERE event_type = 'login_success' AND identifier = $1),
+         'epoch'
+       )`,
+    [normalizeIdentifier(identifier)]
+  );
+
+  const byIp = await db.query(
+    `SELECT COUNT(*) AS failures, MAX(created_at) AS last_failure
+     FROM auth_events
+     WHERE event_type = 'login_failed' AND ip_address = $1
+       AND created_at > NOW() - INTERVAL '1 hour'`,
+    [ip]
+  );
+
+  const retryAfter = Math.max(
+    remainingLock(parseInt(account.rows[0].failures), account.rows[0].last_failure, ACCOUNT_LOCKOUT),
+    remainingLock(parseInt(byIp.rows[0].failures), byIp.rows[0].last_failure, IP_LOCKOUT)
+  );
+
+  return { locked: retryAfter > 0, retryAfter };
+};
+
+module.exports = { checkLoginThrottle, normalizeIdentifier };
@@ -0,0 +1,14 @@
+// services/mailer/console.js
+// Development transport: print messages instead of sending them
+module.exports = {
+  send: async (message) => {
+    console.log('📧 ----- Outgoing mail -----');
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('📧 --------------------------');
+
+    return { messageId: `console-${Date.now()}` };
+  }
+};
@@ -0,0 +1,20 @@
+// services/mailer/file.js
+// Development transport: one JSON file per message in MAIL_DIR
+const fs = require('fs');
+const path = require('path');
+
+const MAIL_DIR = process.env.MAIL_DIR || path.join(__dirname, '..', '..', 'tmp', 'mail');
+
+module.exports = {
+  send: async (message) => {
+    await fs.promises.mkdir(MAIL_DIR, { recursive: true });
+
+    const filename = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+    const filePath = path.join(MAIL_DIR, filename);
+
+    await fs.promises.writeFile(filePath, JSON.stringify(message, null, 2));
+    console.log(`📧 Mail written to ${filePath}`);
+
+    return { messageId: filename };
+  }
+};
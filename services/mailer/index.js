@@ -0,0 +1,43 @@
+// services/mailer/index.js
+// Pluggable mailer. A transport is any object with `async send(message)`,
+// where message = { from, to, subject, text, html }.
+//
+// MAIL_TRANSPORT=smtp    -> real delivery via SMTP_* settings
+// MAIL_TRANSPORT=file    -> writes .json messages to MAIL_DIR (development)
+// MAIL_TRANSPORT=console -> prints messages to stdout (default outside production)
+
+const transports = {
+  smtp: () => require('./smtp'),
+  file: () => require('./file'),
+  console: () => require('./console')
+};
+
+const MAIL_FROM = process.env.MAIL_FROM || 'NoteX <no-reply@notex.app>';
+
+let transport;
+
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT ||
+      (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+
+    if (!transports[name]) {
+      throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    }
+
+    transport = transports[name]();
+  }
+
+  return transport;
+};
+
+// Swap the transport at runtime (e.g. from a script)
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  return getTransport().send({ from: MAIL_FROM, to, subject, text, html });
+};
+
+module.exports = { sendMail, setTransport };
@@ -0,0 +1,19 @@
+// services/noteAccess.js
+// Who may download a note's file
+
+const db = require('../db');
+
+// Completed purchase of the note, or null
+const findCompletedPurchase = async (noteId, userId) => {
+  const result = await db.query(
+    `SELECT * FROM purchases
+     WHERE note_id = $1 AND buyer_id = $2 AND status = 'completed'
+     ORDER BY created_at ASC
+     LIMIT 1`,
+    [noteId, userId]
+  );
+
+  return result.rows[0] || null;
+};
+
+module.exports = { findCompletedPurchase };
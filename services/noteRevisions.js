@@ -0,0 +1,206 @@
+// services/noteRevisions.js
+// Note files and their revisions. Revision 1 is the original upload, reviewed
+// with the note itself. notes.file_url always points at the latest approved
+// revision; older approved revisions stay downloadable by buyers.
+
+const db = require('../db');
+const storage = require('./storage');
+const { generateListingAssets } = require('./previews');
+const { notifyNoteBuyers, notifyWishlisters } = require('./notifications');
+
+// Store an uploaded file plus its thumbnail and preview. A file we can't
+// render is still stored, just without them.
+const storeNoteFile = async (file) => {
+  const fileKey = storage.generateKey('notes', file.mimetype);
+  await storage.put(fileKey, file.buffer, { contentType: file.mimetype });
+
+  const stored = { fileKey, thumbnailKey: null, previewKey: null, pages: null, previewPages: null, keys: [fileKey] };
+
+  let assets = null;
+  try {
+    assets = await generateListingAssets(file.buffer, file.mimetype);
+  } catch (error) {
+    console.error('Preview generation failed:', error.message);
+  }
+
+  if (assets) {
+    stored.thumbnailKey = storage.generateKey('thumbnails', 'image/webp');
+    await storage.put(stored.thumbnailKey, assets.thumbnail, { contentType: 'image/webp' });
+    stored.keys.push(stored.thumbnailKey);
+
+    // Notes too short to give pages away have no preview
+    if (assets.preview) {
+      stored.previewKey = storage.generateKey('previews', assets.preview.contentType);
+      await storage.put(stored.previewKey, assets.preview.buffer, { contentType: assets.preview.contentType });
+      stored.keys.push(stored.previewKey);
+    }
+
+    stored.pages = assets.pages;
+    stored.previewPages = assets.previewPages;
+  }
+
+  return stored;
+};
+
+// Don't leave orphaned files behind when the database write fails
+const discardStoredFiles = async (stored) => {
+  await Promise.all(stored.keys.map(key => storage.delete(key).catch(() => {})));
+};
+
+// Submit a new file as the next revision, pending moderation
+const createRevision = async (noteId, file, changelog) => {
+  const pending = await db.query(
+    `SELECT revision_number FROM note_revisions WHERE note_id = $1 AND status = 'pending'`,
+    [noteId]
+  );
+
+  if (pending.rows.length > 0) {
+    const error = new Error(`Revision ${pending.rows[0].revision_number} is still waiting for review`);
+    error.status = 409;
+    throw error;
+  }
+
+  const stored = await storeNoteFile(file);
+
+  try {
+    const result = await db.query(
+      `INSERT INTO note_revisions (note_id, revision_number, file_url, thumbnail_key, preview_key, preview_pages, pages, changelog)
+       SELECT $1, COALESCE(MAX(revision_number), 0) + 1, $2, $3, $4, $5, $6, $7
+       FROM note_revisions WHERE note_id = $1
+       RETURNING id, note_id, revision_number, changelog, status, pages, created_at`,
+      [noteId, stored.fileKey, stored.thumbnailKey, stored.previewKey, stored.previewPages, stored.pages, changelog]
+    );
+
+    return result.rows[0];
+  } catch (error) {
+    await discardStoredFiles(stored);
+    throw error;
+  }
+};
+
+const listRevisions = async (noteId, { includeUnapproved = false } = {}) => {
+  const result = await db.query(
+    `SELECT id, revision_number, changelog, status, rejection_reason, pages, moderated_at, created_at
+     FROM note_revisions
+     WHERE note_id = $1 AND ($2::boolean OR status = 'approved')
+     ORDER BY revision_number DESC`,
+    [noteId, includeUnapproved]
+  );
+
+  return result.rows;
+};
+
+// Storage key of an approved revision's file, or null
+const findRevisionFile = async (noteId, revisionNumber) => {
+  const result = await db.query(
+    `SELECT file_url FROM note_revisions
+     WHERE note_id = $1 AND revision_number = $2 AND status = 'approved'`,
+    [noteId, revisionNumber]
+  );
+
+  return result.rows[0] ? result.rows[0].file_url : null;
+};
+
+// Make a pending revision the note's current file and tell its buyers
+const approveRevision = async (revisionId, moderatorId) => {
+  const client = await db.pool.connect();
+  let revision;
+  let note;
+
+  try {
+    await client.query('BEGIN');
+
+    const revisionResult = await client.query(
+      `UPDATE note_revisions SET status = 'approved', moderator_id = $2, moderated_at = NOW(), rejection_reason = NULL
+       WHERE id = $1 AND status = 'pending'
+         AND revision_number > (SELECT current_revision FROM notes WHERE notes.id = note_revisions.note_id)
+       RETURNING *`,
+      [revisionId, moderatorId]
+    );
+
+    if (revisionResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    revision = revisionResult.rows[0];
+
+    // Keep the previous listing assets if the new file couldn't be rendered
+    const noteResult = await client.query(
+      `UPDATE notes SET
+         file_url = $2,
+         current_revision = $3,
+         pages = COALESCE($4, pages),
+         thumbnail_key = COALESCE($5, thumbnail_key),
+         preview_key = CASE WHEN $5::text IS NULL THEN preview_key ELSE $6 END,
+         preview_pages = CASE WHEN $5::text IS NULL THEN preview_pages ELSE $7 END,
+         thumbnail_url = CASE WHEN $5::text IS NULL THEN thumbnail_url ELSE '/api/notes/' || id || '/thumbnail' END
+       WHERE id = $1
+       RETURNING id, title, status, current_revision`,
+      [revision.note_id, revision.file_url, revision.revision_number, revision.pages,
+        revision.thumbnail_key, revision.preview_key, revision.preview_pages]
+    );
+
+    note = noteResult.rows[0];
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const notified = await notifyNoteBuyers(note.id, {
+    type: 'note_updated',
+    title: `"${note.title}" has been updated`,
+    body: revision.changelog || `Revision ${revision.revision_number} is available to download.`,
+    data: { noteId: note.id, revision: revision.revision_number }
+  });
+
+  const wishlistNotified = await notifyWishlisters({ noteIds: [note.id] }, {
+    type: 'wishlist_note_updated',
+    title: `"${note.title}" on your wishlist has been updated`,
+    body: revision.changelog || `Revision ${revision.revision_number} is now available.`,
+    data: { noteId: note.id, revision: revision.revision_number }
+  });
+
+  return { revision, note, notified, wishlistNotified };
+};
+
+const rejectRevision = async (revisionId, moderatorId, reason) => {
+  const result = await db.query(
+    `UPDATE note_revisions SET status = 'rejected', moderator_id = $2, moderated_at = NOW(), rejection_reason = $3
+     WHERE id = $1 AND status = 'pending'
+       AND revision_number > (SELECT current_revision FROM notes WHERE notes.id = note_revisions.note_id)
+     RETURNING id, note_id, revision_number, status, rejection_reason`,
+    [revisionId, moderatorId, reason]
+  );
+
+  return result.rows[0] || null;
+};
+
+// A note's own review (first upload or resubmission) also decides its
+// current revision. Already approved files stay approved, e.g. when only
+// the listing was edited and sent back to review.
+const moderateCurrentRevision = async (noteId, moderatorId, status, reason = null) => {
+  await db.query(
+    `UPDATE note_revisions r
+     SET status = $3, moderator_id = $2, moderated_at = NOW(), rejection_reason = $4
+     FROM notes n
+     WHERE n.id = $1 AND r.note_id = n.id AND r.revision_number = n.current_revision
+       AND r.status <> 'approved'`,
+    [noteId, moderatorId, status, reason]
+  );
+};
+
+module.exports = {
+  storeNoteFile,
+  discardStoredFiles,
+  createRevision,
+  listRevisions,
+  findRevisionFile,
+  approveRevision,
+  rejectRevision,
+  moderateCurrentRevision
+};
@@ -0,0 +1,126 @@
+// services/notifications.js
+// In-app notifications (note updates, ...)
+
+const db = require('../db');
+
+// Never throws: a failed notification must not undo the action behind it
+const notifyUsers = async (userIds, { type, title, body = null, data = {} }) => {
+  if (userIds.length === 0) {
+    return 0;
+  }
+
+  try {
+    const result = await db.query(
+      `INSERT INTO notifications (user_id, type, title, body, data)
+       SELECT DISTINCT unnest($1::uuid[]), $2, $3, $4, $5::jsonb`,
+      [userIds, type, title, body, JSON.stringify(data)]
+    );
+
+    return result.rowCount;
+  } catch (error) {
+    console.error('Notification error:', error);
+    return 0;
+  }
+};
+
+// Everyone with a completed purchase of the note. Never throws either.
+const notifyNoteBuyers = async (noteId, { type, title, body = null, data = {} }) => {
+  try {
+    const result = await db.query(
+      `INSERT INTO notifications (user_id, type, title, body, data)
+       SELECT DISTINCT buyer_id, $2, $3, $4, $5::jsonb
+       FROM purchases
+       WHERE note_id = $1 AND status = 'completed' AND buyer_id IS NOT NULL`,
+      [noteId, type, title, body, JSON.stringify(data)]
+    );
+
+    return result.rowCount;
+  } catch (error) {
+    console.error('Notification error:', error);
+    return 0;
+  }
+};
+
+// Everyone with one of the notes or bundles on their wishlist, except users
+// who have already bought it. Never throws either.
+const notifyWishlisters = async ({ noteIds = [], bundleIds = [] }, { type, title, body = null, data = {} }) => {
+  if (noteIds.length === 0 && bundleIds.length === 0) {
+    return 0;
+  }
+
+  try {
+    const result = await db.query(
+      `INSERT INTO notifications (user_id, type, title, body, data)
+       SELECT DISTINCT w.user_id, $3, $4, $5, $6::jsonb
+       FROM wishlist_items w
+       WHERE (w.note_id = ANY($1::uuid[]) OR w.bundle_id = ANY($2::uuid[]))
+         AND NOT EXISTS (
+           SELECT 1 FROM purchases p
+           WHERE p.buyer_id = w.user_id AND p.status = 'completed'
+             AND (p.note_id = w.note_id OR p.bundle_id = w.bundle_id)
+         )`,
+      [noteIds, bundleIds, type, title, body, JSON.stringify(data)]
+    );
+
+    return result.rowCount;
+  } catch (error) {
+    console.error('Notification error:', error);
+    return 0;
+  }
+};
+
+// Tell wishlisters that a published note now costs less than it was last
+// listed for. Never throws.
+const notifyNotePriceDrop = async (note, previousPrice) => {
+  const price = parseFloat(note.price_usd);
+  const was = parseFloat(previousPrice);
+
+  if (note.status !== 'published' || !(price < was)) {
+    return 0;
+  }
+
+  return notifyWishlisters({ noteIds: [note.id] }, {
+    type: 'wishlist_price_drop',
+    title: `Price drop: "${note.title}"`,
+    body: `Now $${price.toFixed(2)} (was $${was.toFixed(2)}).`,
+    data: { noteId: note.id, oldPrice: previousPrice, newPrice: note.price_usd }
+  });
+};
+
+const listNotifications = async (userId, { unreadOnly = false, limit = 50, offset = 0 } = {}) => {
+  const result = await db.query(
+    `SELECT id, type, title, body, data, read_at, created_at
+     FROM notifications
+     WHERE user_id = $1 AND ($2::boolean = false OR read_at IS NULL)
+     ORDER BY created_at DESC
+     LIMIT $3 OFFSET $4`,
+    [userId, unreadOnly, limit, offset]
+  );
+
+  const unread = await db.query(
+    'SELECT COUNT(*) AS count FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+    [userId]
+  );
+
+  return { notifications: result.rows, unreadCount: parseInt(unread.rows[0].count) };
+};
+
+// Mark the given notifications read, or all of them when ids is omitted
+const markNotificationsRead = async (userId, ids) => {
+  const result = await db.query(
+    `UPDATE notifications SET read_at = NOW()
+     WHERE user_id = $1 AND read_at IS NULL AND ($2::uuid[] IS NULL OR id = ANY($2::uuid[]))`,
+    [userId, ids || null]
+  );
+
+  return result.rowCount;
+};
+
+module.exports = {
+  notifyUsers,
+  notifyNoteBuyers,
+  notifyWishlisters,
+  notifyNotePriceDrop,
+  listNotifications,
+  markNotificationsRead
+};
@@ -0,0 +1,151 @@
+// services/previews.js
+// Listing assets generated on upload: page count, a thumbnail and a
+// low-resolution watermarked preview of the first few pages (never the
+// whole note).
+
+const path = require('path');
+const { PDFDocument } = require('pdf-lib');
+const sharp = require('sharp');
+
+const PREVIEW_PAGES = parseInt(process.env.PREVIEW_PAGES) || 3;
+const PREVIEW_WIDTH = 800;
+const THUMBNAIL_WIDTH = 400;
+const IMAGE_PREVIEW_HEIGHT = 0.35; // share of an image note shown, from the top
+
+// Pages shown for free: at most PREVIEW_PAGES and at most half the note, so
+// a 1-page note gets no preview
+const previewPageCount = (pages) => Math.min(PREVIEW_PAGES, Math.floor(pages / 2));
+
+// Glyph data for the 14 standard PDF fonts, which documents often don't embed
+const STANDARD_FONTS_DIR = path.join(path.dirname(require.resolve('pdfjs-dist/package.json')), 'standard_fonts') + path.sep;
+
+// pdfjs-dist only ships as an ES module
+let pdfjsLoader;
+const loadPdfjs = () => {
+  pdfjsLoader = pdfjsLoader || import('pdfjs-dist/legacy/build/pdf.mjs');
+  return pdfjsLoader;
+};
+
+// Render the first countFor(numPages) pages of a PDF to PNG buffers
+const renderPdfPages = async (buffer, countFor) => {
+  const pdfjs = await loadPdfjs();
+  const doc = await pdfjs.getDocument({
+    data: new Uint8Array(buffer),
+    standardFontDataUrl: STANDARD_FONTS_DIR,
+    isEvalSupported: false,
+    disableFontFace: true,
+    verbosity: 0
+  }).promise;
+
+  try {
+    const images = [];
+    const count = Math.min(countFor(doc.numPages), doc.numPages);
+
+    for (let pageNumber = 1; pageNumber <= count; pageNumber++) {
+      const page = await doc.getPage(pageNumber);
+      const { width } = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({ scale: PREVIEW_WIDTH / width });
+
+      const canvasAndContext = doc.canvasFactory.create(viewport.width, viewport.height);
+      await page.render({ canvasContext: canvasAndContext.context, viewport }).promise;
+      images.push(canvasAndContext.canvas.toBuffer('image/png'));
+
+      doc.canvasFactory.destroy(canvasAndContext);
+      page.cleanup();
+    }
+
+    return { images, pages: doc.numPages };
+  } finally {
+    await doc.destroy();
+  }
+};
+
+// Diagonal "PREVIEW" overlay so previews can't pass for the real file
+const stampPreview = async (image, { crop = 1, blur = 0 } = {}) => {
+  const resized = await sharp(image)
+    .rotate()
+    .resize({ width: PREVIEW_WIDTH, withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .toBuffer({ resolveWithObject: true });
+
+  let pipeline = sharp(resized.data).extract({
+    left: 0,
+    top: 0,
+    width: resized.info.width,
+    height: Math.max(1, Math.round(resized.info.height * crop))
+  });
+
+  if (blur > 0) {
+    pipeline = pipeline.blur(blur);
+  }
+
+  const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
+  const fontSize = Math.round(info.width / 11);
+
+  const overlay = Buffer.from(`
+    <svg width="${info.width}" height="${info.height}">
+      <text x="50%" y="50%" font-family="sans-serif" font-size="${fontSize}" font-weight="bold"
+        fill="black" fill-opacity="0.12" text-anchor="middle" dominant-baseline="middle"
+        transform="rotate(-30 ${info.width / 2} ${info.height / 2})">PREVIEW · NoteX</text>
+    </svg>
+  `);
+
+  return sharp(data)
+    .composite([{ input: overlay, top: 0, left: 0 }])
+    .jpeg({ quality: 60 })
+    .toBuffer({ resolveWithObject: true });
+};
+
+const makeThumbnail = (image) => {
+  return sharp(image)
+    .rotate()
+    .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .webp({ quality: 75 })
+    .toBuffer();
+};
+
+// Returns { pages, thumbnail, preview: { buffer, contentType } or null, previewPages }
+const generateListingAssets = async (buffer, contentType) => {
+  if (contentType === 'application/pdf') {
+    // Page 1 is always rendered, for the thumbnail
+    const { images, pages } = await renderPdfPages(buffer, count => Math.max(1, previewPageCount(count)));
+    const previewImages = images.slice(0, previewPageCount(pages));
+
+    if (previewImages.length === 0) {
+      return { pages, thumbnail: await makeThumbnail(images[0]), preview: null, previewPages: 0 };
+    }
+
+    // Rasterised pages in a fresh PDF: readable, but no extractable text
+    const preview = await PDFDocument.create();
+    for (const image of previewImages) {
+      const { data, info } = await stampPreview(image);
+      const embedded = await preview.embedJpg(data);
+      preview.addPage([info.width, info.height]).drawImage(embedded, {
+        x: 0,
+        y: 0,
+        width: info.width,
+        height: info.height
+      });
+    }
+
+    return {
+      pages,
+      thumbnail: await makeThumbnail(images[0]),
+      preview: { buffer: Buffer.from(await preview.save()), contentType: 'application/pdf' },
+      previewPages: previewImages.length
+    };
+  }
+
+  // A single image is the whole note: show only the top, blurred
+  const { data } = await stampPreview(buffer, { crop: IMAGE_PREVIEW_HEIGHT, blur: 3 });
+
+  return {
+    pages: 1,
+    thumbnail: await makeThumbnail(buffer),
+    preview: { buffer: data, contentType: 'image/jpeg' },
+    previewPages: 1
+  };
+};
+
+module.exports = { generateListingAssets, previewPageCount, loadPdfjs, PREVIEW_PAGES };
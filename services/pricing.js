@@ -0,0 +1,67 @@
+// services/pricing.js
+// Checkout fee math, shared by note and bundle purchases
+
+const PLATFORM_FEE_PERCENT = 0.30; // 30% commission - CHANGE THIS VALUE
+const STRIPE_FEE_PERCENT = 0.029;  // Stripe: 2.9%
+const STRIPE_FEE_FIXED = 0.30;     // Stripe: $0.30
+const MIN_CHARGE_USD = 0.99;       // same floor as note prices
+
+const calculateFees = (amount) => {
+  const platformFee = amount * PLATFORM_FEE_PERCENT;
+  const stripeFee = (amount * STRIPE_FEE_PERCENT) + STRIPE_FEE_FIXED;
+  const sellerEarnings = amount - platformFee - stripeFee;
+
+  return { platformFee, stripeFee, sellerEarnings };
+};
+
+// Discounted price after a coupon, never below the minimum charge
+const applyDiscount = (coupon, amount) => {
+  const value = parseFloat(coupon.discount_value);
+  const raw = coupon.discount_type === 'percent' ? amount * value / 100 : value;
+  const discount = Math.round(Math.min(raw, Math.max(amount - MIN_CHARGE_USD, 0)) * 100) / 100;
+
+  return { discount, total: Math.round((amount - discount) * 100) / 100 };
+};
+
+// Split `total` in proportion to `weights`, in whole cents, so the parts add
+// up exactly (the rounding remainder goes to the largest parts first)
+const allocateAmount = (total, weights) => {
+  const totalCents = Math.round(total * 100);
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+
+  const shares = weights.map((weight, index) => {
+    const exact = weightSum > 0 ? totalCents * weight / weightSum : totalCents / weights.length;
+    return { index, cents: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  let leftover = totalCents - shares.reduce((sum, share) => sum + share.cents, 0);
+  for (const share of [...shares].sort((a, b) => b.remainder - a.remainder)) {
+    if (leftover <= 0) break;
+    share.cents++;
+    leftover--;
+  }
+
+  return shares.map(share => share.cents / 100);
+};
+
+// Bundle price for a buyer who already owns some of its notes: scaled to the
+// remaining notes' share of the list price, but not below the minimum charge
+// (Stripe rejects tiny amounts), and never more than buying those notes one
+// by one
+const bundlePriceFor = (bundlePrice, listPrices, remainingListPrices) => {
+  const sum = (prices) => prices.reduce((total, price) => total + price, 0);
+  const listPrice = sum(listPrices);
+  const remainingListPrice = sum(remainingListPrices);
+
+  if (remainingListPrices.length === listPrices.length) {
+    return bundlePrice;
+  }
+
+  const share = listPrice > 0 ? remainingListPrice / listPrice : 0;
+
+  const price = Math.min(Math.max(bundlePrice * share, MIN_CHARGE_USD), remainingListPrice);
+
+  return Math.round(price * 100) / 100;
+};
+
+module.exports = { calculateFees, applyDiscount, allocateAmount, bundlePriceFor };
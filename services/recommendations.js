@@ -0,0 +1,240 @@
+// services/recommendations.js
+// "Buyers also bought" and personalized recommendations. Notes are scored on
+// co-purchases, shared subject/level/tags and text similarity; empty slots are
+// filled with trending notes for the user's country and level.
+
+const db = require('../db');
+
+const NOTE_FIELDS = `n.id, n.title, n.description, n.subject, n.level, n.country, n.type, n.price_usd,
+  n.pages, n.thumbnail_url, n.avg_rating, n.review_count, n.created_at, u.username as seller_name`;
+
+// Published notes the user could buy: not their own and not already bought
+const availableTo = (userParam) => `n.status = 'published'
+  AND (${userParam}::uuid IS NULL OR (
+    n.seller_id <> ${userParam}
+    AND NOT EXISTS (
+      SELECT 1 FROM purchases op
+      WHERE op.note_id = n.id AND op.buyer_id = ${userParam} AND op.status = 'completed'
+    )
+  ))`;
+
+// OR-query over a tsvector's lexemes. Only plain words, so the text is
+// always a valid tsquery.
+const lexemeQuery = (lexemes) => (lexemes.length > 0 ? lexemes.map(lexeme => `'${lexeme}'`).join(' | ') : null);
+
+// Top trending notes (see services/trending.js), matching country and level first
+const findTrendingNotes = async ({ country = null, level = null, userId = null, excludeIds = [], limit = 10 }) => {
+  const result = await db.query(`
+    SELECT ${NOTE_FIELDS}, 'trending' as reason
+    FROM notes n
+    JOIN users u ON n.seller_id = u.id
+    LEFT JOIN note_scores ns ON ns.note_id = n.id
+    WHERE ${availableTo('$1')} AND n.id <> ALL($2::uuid[])
+    ORDER BY
+      (n.country = $3) IS TRUE AND (n.level = $4) IS TRUE DESC,
+      (n.level = $4) IS TRUE DESC,
+      (n.country = $3) IS TRUE DESC,
+      COALESCE(ns.trending_score, 0) DESC,
+      n.avg_rating DESC,
+      n.created_at DESC
+    LIMIT $5
+  `, [userId, excludeIds, country, level, limit]);
+
+  return result.rows;
+};
+
+// Fill up to `limit` with trending notes not already in the list
+const withTrendingFallback = async (notes, { country, level, userId, excludeIds, limit }) => {
+  if (notes.length >= limit) {
+    return notes;
+  }
+
+  const trending = await findTrendingNotes({
+    country,
+    level,
+    userId,
+    excludeIds: [...excludeIds, ...notes.map(note => note.id)],
+    limit: limit - notes.length
+  });
+
+  return [...notes, ...trending];
+};
+
+// Country and level from the profile, else the most common among purchases
+const resolveAudience = async (user) => {
+  if (user.country && user.level) {
+    return { country: user.country, level: user.level };
+  }
+
+  const result = await db.query(`
+    SELECT
+      mode() WITHIN GROUP (ORDER BY n.country) as country,
+      mode() WITHIN GROUP (ORDER BY n.level) as level
+    FROM purchases p
+    JOIN notes n ON p.note_id = n.id
+    WHERE p.buyer_id = $1 AND p.status = 'completed'
+  `, [user.id]);
+
+  return {
+    country: user.country || result.rows[0].country,
+    level: user.level || result.rows[0].level
+  };
+};
+
+// Notes related to noteId, for an optional signed-in user
+const findRelatedNotes = async (noteId, { user = null, limit = 10 } = {}) => {
+  const noteResult = await db.query(
+    `SELECT id, country, level FROM notes WHERE id = $1 AND status = 'published'`,
+    [noteId]
+  );
+
+  if (noteResult.rows.length === 0) {
+    return null;
+  }
+
+  const note = noteResult.rows[0];
+  const userId = user ? user.id : null;
+
+  // Title, tag and subject words of the note (search vector weights A and B)
+  const related = await db.query(`
+    WITH target AS (
+      SELECT t.*,
+        (SELECT string_agg(quote_literal(lexeme), ' | ')
+         FROM unnest(ts_filter(t.search_vector, '{a,b}'))
+         WHERE lexeme ~ '^[[:alnum:]]+$')::tsquery as words
+      FROM notes t
+      WHERE t.id = $1
+    ),
+    co_purchases AS (
+      SELECT other.note_id, COUNT(DISTINCT other.buyer_id) as buyers
+      FROM purchases bought
+      JOIN purchases other ON other.buyer_id = bought.buyer_id AND other.note_id <> bought.note_id
+      WHERE bought.note_id = $1 AND bought.status = 'completed' AND other.status = 'completed'
+      GROUP BY other.note_id
+    )
+    SELECT * FROM (
+      SELECT ${NOTE_FIELDS},
+        COALESCE(co.buyers, 0) as co_purchases,
+        CASE WHEN co.buyers IS NOT NULL THEN 'bought_together' ELSE 'similar' END as reason,
+        LN(1 + COALESCE(co.buyers, 0)) * 2
+          + CASE WHEN n.subject = t.subject THEN 1 ELSE 0 END
+          + CASE WHEN n.level = t.level THEN 0.5 ELSE 0 END
+          + COALESCE(cardinality(ARRAY(SELECT unnest(n.tags) INTERSECT SELECT unnest(t.tags))), 0) * 0.5
+          + similarity(n.title, t.title)
+          + COALESCE(ts_rank(n.search_vector, t.words), 0) * 4 as score
+      FROM notes n
+      CROSS JOIN target t
+      JOIN users u ON n.seller_id = u.id
+      LEFT JOIN co_purchases co ON co.note_id = n.id
+      WHERE ${availableTo('$2')}
+        AND n.id <> t.id
+        AND (co.buyers IS NOT NULL OR n.subject = t.subject OR n.tags && t.tags OR n.search_vector @@ t.words)
+    ) scored
+    ORDER BY score DESC, avg_rating DESC
+    LIMIT $3
+  `, [noteId, userId, limit]);
+
+  // Signed-in users get trending for their audience, others for the note's
+  const audience = user ? await resolveAudience(user) : {};
+
+  return withTrendingFallback(related.rows, {
+    country: audience.country || note.country,
+    level: audience.level || note.level,
+    userId,
+    excludeIds: [note.id],
+    limit
+  });
+};
+
+// Personalized picks from the user's purchases, wishlist and AI tool topics
+const findRecommendedNotes = async (user, { limit = 20 } = {}) => {
+  // Notes the user bought or wishlisted (directly or in a bundle)
+  const seedResult = await db.query(`
+    SELECT n.id, n.subject, n.level, n.tags
+    FROM notes n
+    WHERE n.id IN (
+      SELECT note_id FROM purchases WHERE buyer_id = $1 AND status = 'completed'
+      UNION
+      SELECT note_id FROM wishlist_items WHERE user_id = $1 AND note_id IS NOT NULL
+      UNION
+      SELECT bn.note_id FROM wishlist_items w JOIN bundle_notes bn ON bn.bundle_id = w.bundle_id WHERE w.user_id = $1
+    )
+  `, [user.id]);
+
+  // Words that come up most across the user's recent AI jobs
+  const topicResult = await db.query(`
+    SELECT t.lexeme
+    FROM (
+      SELECT topics FROM ai_jobs
+      WHERE user_id = $1 AND topics IS NOT NULL
+      ORDER BY created_at DESC
+      LIMIT 20
+    ) j, unnest(j.topics) t(lexeme)
+    WHERE t.lexeme ~ '^[[:alnum:]]+$'
+    GROUP BY t.lexeme
+    ORDER BY COUNT(*) DESC, t.lexeme
+    LIMIT 15
+  `, [user.id]);
+
+  const seeds = seedResult.rows;
+  const seedIds = seeds.map(seed => seed.id);
+  const subjects = [...new Set(seeds.map(seed => seed.subject).filter(Boolean))];
+  const levels = [...new Set(seeds.map(seed => seed.level).filter(Boolean))];
+  const tags = [...new Set(seeds.flatMap(seed => seed.tags || []))];
+  const topics = lexemeQuery(topicResult.rows.map(row => row.lexeme));
+
+  let recommended = [];
+
+  if (seeds.length > 0 || topics) {
+    const result = await db.query(`
+      WITH co_purchases AS (
+        SELECT other.note_id, COUNT(DISTINCT other.buyer_id) as buyers
+        FROM purchases bought
+        JOIN purchases other ON other.buyer_id = bought.buyer_id AND other.note_id <> bought.note_id
+        WHERE bought.note_id = ANY($2::uuid[]) AND bought.buyer_id <> $1
+          AND bought.status = 'completed' AND other.status = 'completed'
+        GROUP BY other.note_id
+      )
+      SELECT * FROM (
+        SELECT ${NOTE_FIELDS},
+          COALESCE(co.buyers, 0) as co_purchases,
+          CASE
+            WHEN co.buyers IS NOT NULL THEN 'bought_together'
+            WHEN n.search_vector @@ $6::tsquery THEN 'ai_topics'
+            ELSE 'similar'
+          END as reason,
+          LN(1 + COALESCE(co.buyers, 0)) * 2
+            + CASE WHEN n.subject = ANY($3::text[]) THEN 1 ELSE 0 END
+            + CASE WHEN n.level = ANY($4::text[]) THEN 0.5 ELSE 0 END
+            + COALESCE(cardinality(ARRAY(SELECT unnest(n.tags) INTERSECT SELECT unnest($5::text[]))), 0) * 0.5
+            + COALESCE(ts_rank(n.search_vector, $6::tsquery), 0) * 4 as score
+        FROM notes n
+        JOIN users u ON n.seller_id = u.id
+        LEFT JOIN co_purchases co ON co.note_id = n.id
+        WHERE ${availableTo('$1')}
+          AND n.id <> ALL($2::uuid[])
+          AND (co.buyers IS NOT NULL OR n.subject = ANY($3::text[]) OR n.tags && $5::text[]
+            OR n.search_vector @@ $6::tsquery)
+      ) scored
+      ORDER BY score DESC, avg_rating DESC
+      LIMIT $7
+    `, [user.id, seedIds, subjects, levels, tags, topics, limit]);
+
+    recommended = result.rows;
+  }
+
+  const audience = await resolveAudience(user);
+
+  return withTrendingFallback(recommended, {
+    ...audience,
+    userId: user.id,
+    excludeIds: seedIds,
+    limit
+  });
+};
+
+module.exports = {
+  findTrendingNotes,
+  findRelatedNotes,
+  findRecommendedNotes
+};
@@ -0,0 +1,194 @@
+// services/search.js
+// Catalog search: weighted full-text matching with prefix and typo
+// tolerance, shared filters, and facet counts for the filter chips.
+
+const db = require('../db');
+const { findPopularQueries } = require('./searchLog');
+
+const FACET_FIELDS = ['subject', 'level', 'country', 'type'];
+const FACET_LIMIT = 20;
+
+// Upper bounds are exclusive; the last bucket is open-ended
+const PRICE_BUCKETS = [
+  { key: 'under-5', min: 0, max: 5 },
+  { key: '5-10', min: 5, max: 10 },
+  { key: '10-20', min: 10, max: 20 },
+  { key: '20-plus', min: 20, max: null }
+];
+
+// "intro calc" -> "intro:* & calc:*" so partially typed words still match
+const buildPrefixQuery = (search) => {
+  const words = search
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean)
+    .slice(0, 8);
+
+  return words.length > 0 ? words.map(word => `${word}:*`).join(' & ') : null;
+};
+
+// WHERE clause for the catalog filters. `except` leaves one facet's own
+// filter out so its chips still show the other options.
+const buildCatalogFilters = (filters, { except } = {}) => {
+  const clauses = ["n.status = 'published'"];
+  const params = [];
+  let paramIndex = 1;
+  let rank = null;
+
+  if (filters.search) {
+    const searchParam = `$${paramIndex}`;
+    params.push(filters.search);
+    paramIndex++;
+
+    const prefixQuery = buildPrefixQuery(filters.search);
+
+    if (prefixQuery) {
+      // Full-text match, or a close trigram match on the title for typos
+      const tsQuery = `to_tsquery('english', $${paramIndex})`;
+      params.push(prefixQuery);
+      paramIndex++;
+
+      clauses.push(`(n.search_vector @@ ${tsQuery} OR ${searchParam} <% n.title)`);
+      rank = `(ts_rank_cd(n.search_vector, ${tsQuery}) * 2 + word_similarity(${searchParam}, n.title))`;
+    } else {
+      clauses.push(`${searchParam} <% n.title`);
+      rank = `word_similarity(${searchParam}, n.title)`;
+    }
+  }
+
+  for (const field of FACET_FIELDS) {
+    if (filters[field] && except !== field) {
+      clauses.push(`n.${field} = $${paramIndex}`);
+      params.push(filters[field]);
+      paramIndex++;
+    }
+  }
+
+  if (except !== 'price') {
+    if (filters.min_price) {
+      clauses.push(`n.price_usd >= $${paramIndex}`);
+      params.push(filters.min_price);
+      paramIndex++;
+    }
+
+    if (filters.max_price) {
+      clauses.push(`n.price_usd <= $${paramIndex}`);
+      params.push(filters.max_price);
+      paramIndex++;
+    }
+  }
+
+  return { where: clauses.join(' AND '), params, paramIndex, rank };
+};
+
+const priceBucketCase = () => {
+  const branches = PRICE_BUCKETS
+    .filter(bucket => bucket.max !== null)
+    .map(bucket => `WHEN n.price_usd < ${bucket.max} THEN '${bucket.key}'`)
+    .join(' ');
+
+  return `CASE ${branches} ELSE '${PRICE_BUCKETS[PRICE_BUCKETS.length - 1].key}' END`;
+};
+
+// Counts per value for each facet, plus price buckets
+const getFacets = async (filters) => {
+  const facets = {};
+
+  await Promise.all(FACET_FIELDS.map(async (field) => {
+    const { where, params } = buildCatalogFilters(filters, { except: field });
+    const result = await db.query(`
+      SELECT n.${field} AS value, COUNT(*)::int AS count
+      FROM notes n
+      WHERE ${where} AND n.${field} IS NOT NULL
+      GROUP BY n.${field}
+      ORDER BY count DESC, value ASC
+      LIMIT ${FACET_LIMIT}
+    `, params);
+
+    facets[field] = result.rows;
+  }));
+
+  const { where, params } = buildCatalogFilters(filters, { except: 'price' });
+  const priceResult = await db.query(`
+    SELECT ${priceBucketCase()} AS bucket, COUNT(*)::int AS count
+    FROM notes n
+    WHERE ${where}
+    GROUP BY bucket
+  `, params);
+
+  const priceCounts = Object.fromEntries(priceResult.rows.map(row => [row.bucket, row.count]));
+  facets.price = PRICE_BUCKETS.map(bucket => ({ ...bucket, count: priceCounts[bucket.key] || 0 }));
+
+  return facets;
+};
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+// Autocomplete: prefix matches from titles, subjects, tags and sellers,
+// with anything buyers have searched for before ranked first.
+const suggest = async (prefix, { limit = 10 } = {}) => {
+  const startsWith = `${escapeLike(prefix)}%`;
+  const wordStart = `% ${escapeLike(prefix)}%`;
+
+  const [popular, titles, subjects, tags, sellers] = await Promise.all([
+    findPopularQueries(prefix, { limit }),
+    db.query(`
+      SELECT title AS text, 'title' AS type, COALESCE(purchase_count, 0) + 1 AS weight
+      FROM notes
+      WHERE status = 'published' AND (title ILIKE $1 OR title ILIKE $2)
+      ORDER BY purchase_count DESC NULLS LAST
+      LIMIT $3
+    `, [startsWith, wordStart, limit]),
+    db.query(`
+      SELECT subject AS text, 'subject' AS type, COUNT(*) AS weight
+      FROM notes
+      WHERE status = 'published' AND subject ILIKE $1
+      GROUP BY subject
+      ORDER BY weight DESC
+      LIMIT $2
+    `, [startsWith, limit]),
+    db.query(`
+      SELECT tag AS text, 'tag' AS type, COUNT(*) AS weight
+      FROM notes, unnest(tags) AS tag
+      WHERE status = 'published' AND tag ILIKE $1
+      GROUP BY tag
+      ORDER BY weight DESC
+      LIMIT $2
+    `, [startsWith, limit]),
+    db.query(`
+      SELECT u.username AS text, 'seller' AS type, COUNT(*) AS weight
+      FROM users u
+      JOIN notes n ON n.seller_id = u.id AND n.status = 'published'
+      WHERE u.username ILIKE $1
+      GROUP BY u.username
+      ORDER BY weight DESC
+      LIMIT $2
+    `, [startsWith, limit])
+  ]);
+
+  const popularity = Object.fromEntries(popular.map(row => [row.query, row.count]));
+  const suggestions = new Map();
+
+  const add = (text, type, weight) => {
+    const key = text.toLowerCase().trim();
+    const score = Number(weight) + (popularity[key] || 0) * 10;
+    const existing = suggestions.get(key);
+
+    if (!existing || existing.score < score) {
+      suggestions.set(key, { text, type, score });
+    }
+  };
+
+  for (const row of [...titles.rows, ...subjects.rows, ...tags.rows, ...sellers.rows]) {
+    add(row.text, row.type, row.weight);
+  }
+
+  for (const row of popular) {
+    add(row.query, 'query', 0);
+  }
+
+  return [...suggestions.values()]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+};
+
+module.exports = { buildCatalogFilters, getFacets, suggest, PRICE_BUCKETS };
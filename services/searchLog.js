@@ -0,0 +1,124 @@
+// services/searchLog.js
+// Search analytics: what buyers look for, how many results they get and
+// which result they open.
+
+const db = require('../db');
+
+const normalizeQuery = (query) => {
+  return (query || '').toLowerCase().replace(/\s+/g, ' ').trim().substring(0, 200);
+};
+
+// Never throws: analytics must not break the search itself. Returns the id
+// the client sends back with a click, or null.
+const logSearch = async ({ query, filters = {}, resultCount }) => {
+  try {
+    const result = await db.query(
+      `INSERT INTO search_queries (query, normalized_query, filters, result_count)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [query ? query.substring(0, 200) : null, normalizeQuery(query) || null, JSON.stringify(filters), resultCount]
+    );
+
+    return result.rows[0].id;
+  } catch (error) {
+    console.error('Search log error:', error);
+    return null;
+  }
+};
+
+// Only the first click of a search counts towards click-through, and only
+// within an hour of the search
+const recordSearchClick = async (searchId, noteId) => {
+  const result = await db.query(
+    `UPDATE search_queries SET clicked_note_id = $2, clicked_at = NOW()
+     WHERE id = $1 AND clicked_note_id IS NULL AND created_at > NOW() - INTERVAL '1 hour'
+       AND EXISTS (SELECT 1 FROM notes WHERE id = $2)`,
+    [searchId, noteId]
+  );
+
+  return result.rowCount > 0;
+};
+
+// Past queries starting with `prefix` that found something, most popular first
+const findPopularQueries = async (prefix, { limit = 10, days = 90 } = {}) => {
+  const result = await db.query(
+    `SELECT normalized_query AS query, COUNT(*)::int AS count
+     FROM search_queries
+     WHERE normalized_query LIKE $1
+       AND result_count > 0
+       AND created_at > NOW() - make_interval(days => $2::int)
+     GROUP BY normalized_query
+     ORDER BY count DESC
+     LIMIT $3`,
+    [`${normalizeQuery(prefix).replace(/[\\%_]/g, '\\$&')}%`, days, limit]
+  );
+
+  return result.rows;
+};
+
+const getSearchInsights = async ({ days = 30, limit = 50 } = {}) => {
+  const params = [days, limit];
+
+  const [summary, topQueries, zeroResults, unmetSubjects] = await Promise.all([
+    db.query(
+      `SELECT COUNT(*)::int AS searches,
+         COUNT(*) FILTER (WHERE result_count = 0)::int AS zero_result_searches,
+         COUNT(clicked_note_id)::int AS clicks
+       FROM search_queries
+       WHERE created_at > NOW() - make_interval(days => $1::int)`,
+      [days]
+    ),
+    db.query(
+      `SELECT normalized_query AS query, COUNT(*)::int AS searches,
+         ROUND(AVG(result_count), 1) AS avg_results,
+         ROUND(COUNT(clicked_note_id)::numeric / COUNT(*), 3) AS click_through_rate
+       FROM search_queries
+       WHERE normalized_query IS NOT NULL
+         AND created_at > NOW() - make_interval(days => $1::int)
+       GROUP BY normalized_query
+       ORDER BY searches DESC
+       LIMIT $2`,
+      params
+    ),
+    db.query(
+      `SELECT normalized_query AS query, COUNT(*)::int AS searches, MAX(created_at) AS last_searched
+       FROM search_queries
+       WHERE normalized_query IS NOT NULL AND result_count = 0
+         AND created_at > NOW() - make_interval(days => $1::int)
+       GROUP BY normalized_query
+       ORDER BY searches DESC
+       LIMIT $2`,
+      params
+    ),
+    // Subjects buyers filter on that returned nothing
+    db.query(
+      `SELECT filters->>'subject' AS subject, COUNT(*)::int AS searches
+       FROM search_queries
+       WHERE filters ? 'subject' AND result_count = 0
+         AND created_at > NOW() - make_interval(days => $1::int)
+       GROUP BY filters->>'subject'
+       ORDER BY searches DESC
+       LIMIT $2`,
+      params
+    )
+  ]);
+
+  const { searches, zero_result_searches: zeroResultSearches, clicks } = summary.rows[0];
+
+  return {
+    searches,
+    zeroResultSearches,
+    clickThroughRate: searches > 0 ? Number((clicks / searches).toFixed(3)) : 0,
+    topQueries: topQueries.rows,
+    zeroResultQueries: zeroResults.rows,
+    unmetSubjects: unmetSubjects.rows
+  };
+};
+
+module.exports = {
+  normalizeQuery,
+  logSearch,
+  recordSearchClick,
+  findPopularQueries,
+  getSearchInsights
+};
@@ -0,0 +1,204 @@
+// services/sessions.js
+// Access tokens (short-lived JWTs) and rotating refresh tokens stored server-side
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../db');
+const { logAuthEvent } = require('./authEvents');
+
+const JWT_SECRET = process.env.JWT_SECRET || 'd142290f954317405e3ea375c24c48fd4ce28f7a022e63d8182cc05de07cf47454b1f049f8fc5a7e87f712bfa2ab4bf5c771280885d01d1f422caf6167e4d169';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Access token carries the session id so revoked sessions can be rejected
+const signAccessToken = (user, sessionId) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      username: user.username,
+      email: user.email,
+      sid: sessionId
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+};
+
+const verifyAccessToken = (token) => {
+  return jwt.verify(token, JWT_SECRET);
+};
+
+const newRefreshSecret = () => crypto.randomBytes(32).toString('hex');
+
+// Refresh tokens look like "<sessionId>.<secret>"; only the secret's hash is stored
+const tokenPair = (user, sessionId, secret) => {
+  const token = signAccessToken(user, sessionId);
+  const { iat, exp } = jwt.decode(token);
+
+  return {
+    token,
+    refreshToken: `${sessionId}.${secret}`,
+    expiresIn: exp - iat
+  };
+};
+
+const issueTokens = async (user, sessionId) => {
+  const secret = newRefreshSecret();
+
+  await db.query(
+    `UPDATE user_sessions
+     SET refresh_token_hash = $1,
+         expires_at = NOW() + make_interval(days => $2),
+         last_used_at = NOW()
+     WHERE id = $3`,
+    [hashToken(secret), REFRESH_TOKEN_TTL_DAYS, sessionId]
+  );
+
+  return tokenPair(user, sessionId, secret);
+};
+
+// Start a new session at login.
+// `client` comes from deviceInfo.describeClient(req, loginMethod).
+const createSession = async (user, { twoFactorVerified = false, client = {} } = {}) => {
+  const result = await db.query(
+    `INSERT INTO user_sessions (
+       user_id, refresh_token_hash, expires_at, two_factor_verified_at,
+       client_type, device, user_agent, ip_address, location
+     )
+     VALUES ($1, '', NOW() + make_interval(days => $2), $3, $4, $5, $6, $7, $8)
+     RETURNING id`,
+    [
+      user.id,
+      REFRESH_TOKEN_TTL_DAYS,
+      twoFactorVerified ? new Date() : null,
+      client.clientType || 'browser',
+      client.device || null,
+      client.userAgent || null,
+      client.ip || null,
+      client.location || null
+    ]
+  );
+
+  return issueTokens(user, result.rows[0].id);
+};
+
+// Exchange a refresh token for a new token pair.
+// Presenting an already-rotated token revokes the session (likely theft).
+// `context` ({ ip, userAgent }) is recorded in the audit log.
+const rotateRefreshToken = async (refreshToken, context = {}) => {
+  const [sessionId, secret] = String(refreshToken).split('.');
+
+  if (!sessionId || !secret || !/^[0-9a-f-]{36}$/i.test(sessionId)) {
+    return null;
+  }
+
+  // Swap the hash only if the presented token is still the current one, so
+  // two requests can never both rotate the same token
+  const next = newRefreshSecret();
+  const result = await db.query(
+    `UPDATE user_sessions s
+     SET refresh_token_hash = $3,
+         expires_at = NOW() + make_interval(days => $4),
+         last_used_at = NOW()
+     FROM users u
+     WHERE s.id = $1 AND s.refresh_token_hash = $2
+       AND s.revoked_at IS NULL AND s.expires_at > NOW()
+       AND u.id = s.user_id
+     RETURNING s.user_id, u.username, u.email`,
+    [sessionId, hashToken(secret), hashToken(next), REFRESH_TOKEN_TTL_DAYS]
+  );
+
+  if (result.rows.length > 0) {
+    const { user_id, username, email } = result.rows[0];
+    const user = { id: user_id, username, email };
+    return { user, ...tokenPair(user, sessionId, next) };
+  }
+
+  // No swap: either the session is gone, or the token was already rotated
+  const session = await getActiveSession(sessionId);
+
+  if (!session) {
+    return null;
+  }
+
+  console.warn(`⚠️  Refresh token reuse detected for session ${sessionId}, revoking`);
+  await revokeSession(sessionId);
+  await logAuthEvent({ userId: session.user_id, type: 'token_reuse_detected', ...context, metadata: { sessionId } });
+  return null;
+};
+
+// Returns the session row, or null if it was revoked or has expired
+const getActiveSession = async (sessionId) => {
+  const result = await db.query(
+    `SELECT id, user_id, two_factor_verified_at, created_at
+     FROM user_sessions
+     WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()`,
+    [sessionId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Record activity; writes at most every 5 minutes per session
+const touchSession = async (sessionId, ip) => {
+  await db.query(
+    `UPDATE user_sessions SET last_used_at = NOW(), ip_address = COALESCE($2, ip_address)
+     WHERE id = $1 AND last_used_at < NOW() - INTERVAL '5 minutes'`,
+    [sessionId, ip]
+  );
+};
+
+const listSessions = async (userId) => {
+  const result = await db.query(
+    `SELECT id, client_type, device, ip_address, location, last_used_at, created_at
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+
+  return result.rows;
+};
+
+const revokeSession = async (sessionId) => {
+  await db.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL',
+    [sessionId]
+  );
+};
+
+// Revoke one of the user's own sessions; false if it isn't theirs/active
+const revokeUserSession = async (userId, sessionId) => {
+  const result = await db.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+    [sessionId, userId]
+  );
+
+  return result.rowCount > 0;
+};
+
+// "Log out everywhere"
+const revokeAllSessions = async (userId) => {
+  const result = await db.query(
+    'UPDATE user_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+
+  return result.rowCount;
+};
+
+module.exports = {
+  createSession,
+  rotateRefreshToken,
+  verifyAccessToken,
+  getActiveSession,
+  touchSession,
+  listSessions,
+  revokeSession,
+  revokeUserSession,
+  revokeAllSessions
+};
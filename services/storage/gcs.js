@@ -0,0 +1,44 @@
+// services/storage/gcs.js
+// Google Cloud Storage driver (App Engine deployment)
+const { Storage } = require('@google-cloud/storage');
+
+const storage = new Storage({ projectId: process.env.GCP_PROJECT_ID });
+const bucket = storage.bucket(process.env.GCS_BUCKET_NAME);
+
+module.exports = {
+  put: async (key, buffer, { contentType }) => {
+    await bucket.file(key).save(buffer, { contentType, resumable: false });
+    return key;
+  },
+
+  get: async (key) => {
+    const [contents] = await bucket.file(key).download();
+    return contents;
+  },
+
+  stream: async (key) => {
+    const file = bucket.file(key);
+    const [exists] = await file.exists();
+
+    if (!exists) {
+      const error = new Error(`No such object: ${key}`);
+      error.code = 'ENOENT';
+      throw error;
+    }
+
+    return file.createReadStream();
+  },
+
+  delete: async (key) => {
+    await bucket.file(key).delete({ ignoreNotFound: true });
+  },
+
+  signedUrl: async (key, { expiresIn }) => {
+    const [url] = await bucket.file(key).getSignedUrl({
+      version: 'v4',
+      action: 'read',
+      expires: Date.now() + expiresIn * 1000
+    });
+    return url;
+  }
+};
@@ -0,0 +1,65 @@
+// services/storage/index.js
+// File storage abstraction. Every driver implements:
+//
+//   put(key, buffer, { contentType })  -> key
+//   get(key)                            -> Buffer
+//   stream(key)                         -> Readable
+//   delete(key)
+//   signedUrl(key, { expiresIn })       -> URL string, or null if the driver
+//                                          can't presign (stream through the API instead)
+//
+// STORAGE_DRIVER=local (default) | s3 | gcs
+
+const path = require('path');
+const crypto = require('crypto');
+
+const drivers = {
+  local: () => require('./local'),
+  s3: () => require('./s3'),
+  gcs: () => require('./gcs')
+};
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp'
+};
+
+let driver;
+
+const getDriver = () => {
+  if (!driver) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+
+    if (!drivers[name]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${name}"`);
+    }
+
+    driver = drivers[name]();
+  }
+
+  return driver;
+};
+
+// Random, non-guessable object key under a folder: "notes/3f2c...e1.pdf".
+// The extension comes from the (validated) content type, not the client's filename.
+const generateKey = (folder, contentType) => {
+  const ext = Object.keys(CONTENT_TYPES).find(e => CONTENT_TYPES[e] === contentType) || '';
+  return `${folder}/${crypto.randomUUID()}${ext}`;
+};
+
+const contentTypeFor = (key) => {
+  return CONTENT_TYPES[path.extname(key).toLowerCase()] || 'application/octet-stream';
+};
+
+module.exports = {
+  put: (key, buffer, options = {}) => getDriver().put(key, buffer, { contentType: contentTypeFor(key), ...options }),
+  get: (key) => getDriver().get(key),
+  stream: (key) => getDriver().stream(key),
+  delete: (key) => getDriver().delete(key),
+  signedUrl: (key, options = {}) => getDriver().signedUrl(key, { expiresIn: 3600, ...options }),
+  generateKey,
+  contentTypeFor
+};
@@ -0,0 +1,42 @@
+// services/storage/local.js
+// Local filesystem driver (development, Railway volume)
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(process.env.FILES_DIR || '/data/files');
+
+// Keys are relative to ROOT. Older rows stored absolute paths inside ROOT.
+const resolveKey = (key) => {
+  const filePath = path.resolve(ROOT, key);
+
+  if (filePath !== ROOT && !filePath.startsWith(ROOT + path.sep)) {
+    throw new Error(`Invalid storage key: ${key}`);
+  }
+
+  return filePath;
+};
+
+module.exports = {
+  put: async (key, buffer) => {
+    const filePath = resolveKey(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+    return key;
+  },
+
+  get: async (key) => {
+    return fs.promises.readFile(resolveKey(key));
+  },
+
+  stream: async (key) => {
+    const filePath = resolveKey(key);
+    await fs.promises.access(filePath);
+    return fs.createReadStream(filePath);
+  },
+
+  delete: async (key) => {
+    await fs.promises.rm(resolveKey(key), { force: true });
+  },
+
+  signedUrl: async () => null
+};
@@ -0,0 +1,51 @@
+// services/storage/s3.js
+// S3-compatible driver (AWS S3, MinIO, Cloudflare R2...)
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+const BUCKET = process.env.S3_BUCKET;
+
+const client = new S3Client({
+  region: process.env.S3_REGION || 'us-east-1',
+  endpoint: process.env.S3_ENDPOINT || undefined, // e.g. http://localhost:9000 for MinIO
+  forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+  credentials: process.env.S3_ACCESS_KEY_ID ? {
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY
+  } : undefined
+});
+
+module.exports = {
+  put: async (key, buffer, { contentType }) => {
+    await client.send(new PutObjectCommand({
+      Bucket: BUCKET,
+      Key: key,
+      Body: buffer,
+      ContentType: contentType
+    }));
+    return key;
+  },
+
+  get: async (key) => {
+    const result = await client.send(new GetObjectCommand({ Bucket: BUCKET, Key: key }));
+    return Buffer.from(await result.Body.transformToByteArray());
+  },
+
+  stream: async (key) => {
+    const result = await client.send(new GetObjectCommand({ Bucket: BUCKET, Key: key }));
+    return result.Body;
+  },
+
+  delete: async (key) => {
+    await client.send(new DeleteObjectCommand({ Bucket: BUCKET, Key: key }));
+  },
+
+  signedUrl: async (key, { expiresIn }) => {
+    return getSignedUrl(client, new GetObjectCommand({ Bucket: BUCKET, Key: key }), { expiresIn });
+  }
+};
@@ -0,0 +1,48 @@
+// services/telegramAuth.js
+// Telegram WebApp login: check that initData really comes from our bot
+
+const crypto = require('crypto');
+
+// Max age of Telegram initData before it is considered stale (seconds)
+const TELEGRAM_AUTH_MAX_AGE = parseInt(process.env.TELEGRAM_AUTH_MAX_AGE) || 24 * 60 * 60;
+
+// Validate Telegram WebApp initData
+// https://core.telegram.org/bots/webapps#validating-data-received-via-the-mini-app
+const verifyTelegramInitData = (initData, botToken) => {
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+
+  if (!hash) {
+    return null;
+  }
+
+  params.delete('hash');
+
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  const expectedHash = crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex');
+
+  const hashBuffer = Buffer.from(hash, 'hex');
+  const expectedBuffer = Buffer.from(expectedHash, 'hex');
+
+  if (hashBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(hashBuffer, expectedBuffer)) {
+    return null;
+  }
+
+  const authDate = parseInt(params.get('auth_date'));
+  if (!authDate || Date.now() / 1000 - authDate > TELEGRAM_AUTH_MAX_AGE) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(params.get('user'));
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = { verifyTelegramInitData, TELEGRAM_AUTH_MAX_AGE };
@@ -0,0 +1,189 @@
+// services/trending.js
+// Time-decayed popularity: recent views, purchases, review quality and
+// wishlist adds, each fading with a half-life. "trending" looks at the last
+// few days, "hot" at the last few hours.
+
+const crypto = require('crypto');
+const db = require('../db');
+
+const TRENDING_HALF_LIFE_HOURS = 72;
+const HOT_HALF_LIFE_HOURS = 12;
+const WINDOW_DAYS = 30; // older events have decayed to nothing
+
+// Points per event
+const WEIGHTS = {
+  view: 0.2,
+  purchase: 10,
+  wishlist: 3,
+  bundleWishlist: 1, // per note in a wishlisted bundle
+  reviewStar: 3      // per star above (or below) 3
+};
+
+const SCORE_COLUMNS = { trending: 'trending_score', hot: 'hot_score' };
+
+// note_scores column for ?sort= / ?window=, or null. Own keys only, so
+// "constructor" and friends don't resolve to Object.prototype members.
+const scoreColumn = (name) => (Object.hasOwn(SCORE_COLUMNS, name) ? SCORE_COLUMNS[name] : null);
+
+let ipSecret = process.env.VIEWER_HASH_SECRET || process.env.JWT_SECRET;
+if (!ipSecret) {
+  console.warn('⚠️  VIEWER_HASH_SECRET not set; anonymous views may be counted twice after a restart');
+  ipSecret = crypto.randomBytes(32).toString('hex');
+}
+
+// Signed-in viewers by id, others by a keyed hash of their IP (never stored raw)
+const viewerKey = ({ userId, ip }) => (userId
+  ? userId
+  : crypto.createHmac('sha256', ipSecret).update(String(ip)).digest('hex'));
+
+// Views are bucketed per day, one per viewer per note per day; never throws
+const recordNoteView = async (noteId, viewer) => {
+  try {
+    await db.query(`
+      WITH first_view AS (
+        INSERT INTO note_viewers (note_id, day, viewer) VALUES ($1, CURRENT_DATE, $2)
+        ON CONFLICT DO NOTHING
+        RETURNING note_id, day
+      )
+      INSERT INTO note_view_days (note_id, day, views)
+      SELECT note_id, day, 1 FROM first_view
+      ON CONFLICT (note_id, day) DO UPDATE SET views = note_view_days.views + 1
+    `, [noteId, viewerKey(viewer)]);
+  } catch (error) {
+    console.error('Record view error:', error);
+  }
+};
+
+const refreshTrendingScores = async () => {
+  // Views are placed at noon of their day, so today's can be in the future;
+  // clamp their age at 0 so nothing weighs more than a fresh event
+  const decay = (halfLifeParam) => `EXP(-LN(2) * GREATEST(EXTRACT(EPOCH FROM NOW() - at), 0) / 3600 / ${halfLifeParam}::float8)`;
+
+  await db.query('DELETE FROM note_viewers WHERE day < CURRENT_DATE');
+
+  const result = await db.query(`
+    WITH events AS (
+      SELECT note_id, day + INTERVAL '12 hours' as at, views * $3::float8 as points
+      FROM note_view_days
+      WHERE day > CURRENT_DATE - $8::int
+      UNION ALL
+      SELECT note_id, created_at, $4::float8
+      FROM purchases
+      WHERE status = 'completed' AND created_at > NOW() - make_interval(days => $8::int)
+      UNION ALL
+      SELECT note_id, created_at, (rating - 3) * $7::float8
+      FROM reviews
+      WHERE created_at > NOW() - make_interval(days => $8::int)
+      UNION ALL
+      SELECT note_id, created_at, $5::float8
+      FROM wishlist_items
+      WHERE note_id IS NOT NULL AND created_at > NOW() - make_interval(days => $8::int)
+      UNION ALL
+      SELECT bn.note_id, w.created_at, $6::float8
+      FROM wishlist_items w
+      JOIN bundle_notes bn ON bn.bundle_id = w.bundle_id
+      WHERE w.created_at > NOW() - make_interval(days => $8::int)
+    ),
+    scores AS (
+      SELECT note_id,
+        SUM(points * ${decay('$1')}) as trending_score,
+        SUM(points * ${decay('$2')}) as hot_score
+      FROM events
+      GROUP BY note_id
+    )
+    INSERT INTO note_scores (note_id, trending_score, hot_score, updated_at)
+    SELECT n.id, COALESCE(s.trending_score, 0), COALESCE(s.hot_score, 0), NOW()
+    FROM notes n
+    LEFT JOIN scores s ON s.note_id = n.id
+    WHERE n.status <> 'removed'
+    ON CONFLICT (note_id) DO UPDATE SET
+      trending_score = EXCLUDED.trending_score,
+      hot_score = EXCLUDED.hot_score,
+      updated_at = EXCLUDED.updated_at
+  `, [
+    TRENDING_HALF_LIFE_HOURS,
+    HOT_HALF_LIFE_HOURS,
+    WEIGHTS.view,
+    WEIGHTS.purchase,
+    WEIGHTS.wishlist,
+    WEIGHTS.bundleWishlist,
+    WEIGHTS.reviewStar,
+    WINDOW_DAYS
+  ]);
+
+  return result.rowCount;
+};
+
+// Refresh now and every TRENDING_REFRESH_MINUTES (default 15, 0 disables)
+const startTrendingRefresh = () => {
+  const minutes = parseInt(process.env.TRENDING_REFRESH_MINUTES ?? '15');
+
+  if (!(minutes > 0)) {
+    return null;
+  }
+
+  const run = () => refreshTrendingScores()
+    .then(count => console.log(`📈 Trending scores refreshed for ${count} notes`))
+    .catch(error => console.error('Trending refresh error:', error));
+
+  run();
+
+  const timer = setInterval(run, minutes * 60 * 1000);
+  timer.unref();
+  return timer;
+};
+
+// Top notes per subject, subjects ordered by their combined score.
+// With `subject`, a single list for that subject.
+const getTrendingBySubject = async ({
+  window = 'trending',
+  subject = null,
+  level = null,
+  country = null,
+  perSubject = 5,
+  subjects = 10
+} = {}) => {
+  const column = scoreColumn(window) || SCORE_COLUMNS.trending;
+
+  const result = await db.query(`
+    SELECT * FROM (
+      SELECT n.id, n.title, n.subject, n.level, n.country, n.type, n.price_usd, n.thumbnail_url,
+        n.avg_rating, n.review_count, n.created_at, u.username as seller_name,
+        s.${column} as score,
+        ROW_NUMBER() OVER (PARTITION BY n.subject ORDER BY s.${column} DESC, n.created_at DESC) as rank,
+        SUM(s.${column}) OVER (PARTITION BY n.subject) as subject_score
+      FROM notes n
+      JOIN users u ON n.seller_id = u.id
+      JOIN note_scores s ON s.note_id = n.id
+      WHERE n.status = 'published' AND n.subject IS NOT NULL AND s.${column} > 0
+        AND ($1::text IS NULL OR n.subject = $1)
+        AND ($2::text IS NULL OR n.level = $2)
+        AND ($3::text IS NULL OR n.country = $3)
+    ) ranked
+    WHERE rank <= $4
+    ORDER BY subject_score DESC, subject, rank
+  `, [subject, level, country, perSubject]);
+
+  const groups = [];
+
+  for (const { rank, subject_score, ...note } of result.rows) {
+    let group = groups[groups.length - 1];
+
+    if (!group || group.subject !== note.subject) {
+      group = { subject: note.subject, score: subject_score, notes: [] };
+      groups.push(group);
+    }
+
+    group.notes.push(note);
+  }
+
+  return groups.slice(0, subjects);
+};
+
+module.exports = {
+  scoreColumn,
+  recordNoteView,
+  refreshTrendingScores,
+  startTrendingRefresh,
+  getTrendingBySubject
+};
@@ -0,0 +1,164 @@
+// services/twoFactor.js
+// TOTP two-factor authentication with one-time recovery codes
+
+const crypto = require('crypto');
+const { authenticator } = require('otplib');
+const db = require('../db');
+
+const ISSUER = 'NoteX';
+const RECOVERY_CODE_COUNT = 10;
+
+// Accept the previous/next 30s step to tolerate clock drift
+authenticator.options = { window: 1 };
+
+// How long a 2FA check counts as "fresh" for sensitive actions
+const STEP_UP_MAX_AGE_MINUTES = parseInt(process.env.TWO_FACTOR_STEP_UP_MINUTES) || 10;
+
+const hashCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+};
+
+// Time-step a TOTP code belongs to, or null if it isn't valid now
+const matchedStep = (code, secret) => {
+  if (!/^\d{6}$/.test(String(code))) {
+    return null;
+  }
+
+  const delta = authenticator.checkDelta(String(code), secret);
+
+  if (delta === null) {
+    return null;
+  }
+
+  return Math.floor(Date.now() / 1000 / authenticator.allOptions().step) + delta;
+};
+
+// Each time-step is accepted once, so a code seen over someone's shoulder
+// (or in a log) can't be replayed within its validity window
+const acceptStep = async (userId, step) => {
+  const result = await db.query(
+    `UPDATE users SET totp_last_step = $2
+     WHERE id = $1 AND (totp_last_step IS NULL OR totp_last_step < $2)
+     RETURNING id`,
+    [userId, step]
+  );
+
+  return result.rows.length > 0;
+};
+
+// Start enrollment: store a pending secret and return the provisioning URI
+const startEnrollment = async (user) => {
+  const secret = authenticator.generateSecret();
+
+  await db.query(
+    'UPDATE users SET totp_secret = $1, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $2',
+    [secret, user.id]
+  );
+
+  const accountName = user.email || user.username || user.telegram_id;
+
+  return {
+    secret,
+    otpauthUrl: authenticator.keyuri(accountName, ISSUER, secret)
+  };
+};
+
+const generateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashCode(code)]
+    );
+  }
+
+  return codes;
+};
+
+// Finish enrollment once the user proves the authenticator app works
+const confirmEnrollment = async (userId, code) => {
+  const result = await db.query(
+    'SELECT totp_secret FROM users WHERE id = $1 AND totp_secret IS NOT NULL AND totp_enabled_at IS NULL',
+    [userId]
+  );
+
+  const step = result.rows.length > 0 ? matchedStep(code, result.rows[0].totp_secret) : null;
+
+  if (step === null) {
+    return null;
+  }
+
+  await db.query('UPDATE users SET totp_enabled_at = NOW(), totp_last_step = $2 WHERE id = $1', [userId, step]);
+
+  return generateRecoveryCodes(userId);
+};
+
+// Check a TOTP code (each only once), falling back to a (single-use)
+// recovery code
+const verifyCode = async (userId, code) => {
+  if (!code) {
+    return false;
+  }
+
+  const result = await db.query(
+    'SELECT totp_secret FROM users WHERE id = $1 AND totp_enabled_at IS NOT NULL',
+    [userId]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  const step = matchedStep(code, result.rows[0].totp_secret);
+
+  if (step !== null) {
+    return acceptStep(userId, step);
+  }
+
+  const recovery = await db.query(
+    `UPDATE user_recovery_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashCode(String(code))]
+  );
+
+  return recovery.rows.length > 0;
+};
+
+const disable = async (userId) => {
+  await db.query(
+    'UPDATE users SET totp_secret = NULL, totp_enabled_at = NULL, totp_last_step = NULL WHERE id = $1',
+    [userId]
+  );
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+};
+
+// Record a successful 2FA check on the current session
+const markSessionVerified = async (sessionId) => {
+  await db.query(
+    'UPDATE user_sessions SET two_factor_verified_at = NOW() WHERE id = $1',
+    [sessionId]
+  );
+};
+
+const isVerificationFresh = (verifiedAt) => {
+  return !!verifiedAt &&
+    Date.now() - new Date(verifiedAt).getTime() < STEP_UP_MAX_AGE_MINUTES * 60 * 1000;
+};
+
+module.exports = {
+  startEnrollment,
+  confirmEnrollment,
+  generateRecoveryCodes,
+  verifyCode,
+  matchedStep,
+  disable,
+  markSessionVerified,
+  isVerificationFresh
+};
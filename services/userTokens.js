@@ -0,0 +1,47 @@
+// services/userTokens.js
+// Expiring, single-use tokens for email verification and password reset
+
+const crypto = require('crypto');
+const db = require('../db');
+
+const TOKEN_TTL_MINUTES = {
+  email_verification: 48 * 60,
+  password_reset: 60
+};
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Issue a new token; any older unused token of the same type is invalidated
+const createUserToken = async (userId, type) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  await db.query(
+    `UPDATE user_tokens SET used_at = NOW()
+     WHERE user_id = $1 AND type = $2 AND used_at IS NULL`,
+    [userId, type]
+  );
+
+  await db.query(
+    `INSERT INTO user_tokens (user_id, type, token_hash, expires_at)
+     VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+    [userId, type, hashToken(token), TOKEN_TTL_MINUTES[type]]
+  );
+
+  return token;
+};
+
+// Mark a token as used and return its user id, or null if invalid/expired/used
+const consumeUserToken = async (token, type) => {
+  const result = await db.query(
+    `UPDATE user_tokens SET used_at = NOW()
+     WHERE token_hash = $1 AND type = $2 AND used_at IS NULL AND expires_at > NOW()
+     RETURNING user_id`,
+    [hashToken(String(token)), type]
+  );
+
+  return result.rows[0]?.user_id || null;
+};
+
+module.exports = { createUserToken, consumeUserToken };
@@ -0,0 +1,69 @@
+// tests/downloadLinks.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.DOWNLOAD_URL_SECRET = 'test-download-secret';
+
+const { createDownloadUrl, verifyDownloadSignature } = require('../services/downloadLinks');
+
+const NOTE_ID = '3f2b1c9e-5d7a-4e8b-9c0d-1a2b3c4d5e6f';
+const OTHER_NOTE_ID = '8a7b6c5d-4e3f-4a1b-8c9d-0e1f2a3b4c5d';
+const BUYER_ID = 'b1c2d3e4-f5a6-4b7c-8d9e-0f1a2b3c4d5e';
+
+const req = { protocol: 'https', get: () => 'api.example.com' };
+
+// Query string of a fresh download link, as the file endpoint receives it
+const linkQuery = (options) => {
+  const { url } = createDownloadUrl(req, NOTE_ID, BUYER_ID, options);
+  return Object.fromEntries(new URL(url).searchParams);
+};
+
+test('verifyDownloadSignature accepts a fresh link', () => {
+  assert.equal(verifyDownloadSignature(NOTE_ID, linkQuery()), BUYER_ID);
+  assert.equal(verifyDownloadSignature(NOTE_ID, linkQuery({ revision: 2 })), BUYER_ID);
+});
+
+test('verifyDownloadSignature rejects an expired link', (t) => {
+  const query = linkQuery();
+  const now = Date.now();
+
+  t.mock.method(Date, 'now', () => now + 10 * 60 * 1000);
+
+  assert.equal(verifyDownloadSignature(NOTE_ID, query), null);
+});
+
+test('verifyDownloadSignature rejects a pushed-back expiry', () => {
+  const query = linkQuery();
+
+  assert.equal(verifyDownloadSignature(NOTE_ID, { ...query, expires: String(parseInt(query.expires) + 3600) }), null);
+});
+
+test('verifyDownloadSignature rejects another buyer or note', () => {
+  const query = linkQuery();
+
+  assert.equal(verifyDownloadSignature(NOTE_ID, { ...query, buyer: 'c2d3e4f5-a6b7-4c8d-9e0f-1a2b3c4d5e6f' }), null);
+  assert.equal(verifyDownloadSignature(OTHER_NOTE_ID, query), null);
+  assert.equal(verifyDownloadSignature(NOTE_ID, { ...query, buyer: [BUYER_ID] }), null);
+});
+
+test('verifyDownloadSignature rejects a changed, added or removed revision', () => {
+  const latest = linkQuery();
+  const pinned = linkQuery({ revision: 2 });
+
+  assert.equal(verifyDownloadSignature(NOTE_ID, { ...pinned, revision: '1' }), null);
+  assert.equal(verifyDownloadSignature(NOTE_ID, { ...latest, revision: '1' }), null);
+  assert.equal(verifyDownloadSignature(NOTE_ID, { ...pinned, revision: undefined }), null);
+});
+
+test('verifyDownloadSignature rejects missing or malformed signatures', () => {
+  const query = linkQuery();
+
+  assert.equal(verifyDownloadSignature(NOTE_ID, { ...query, sig: undefined }), null);
+  assert.equal(verifyDownloadSignature(NOTE_ID, { ...query, sig: 'not-hex' }), null);
+  assert.equal(verifyDownloadSignature(NOTE_ID, { ...query, sig: query.sig.slice(0, -2) }), null);
+  assert.equal(verifyDownloadSignature(NOTE_ID, { ...query, sig: `${query.sig}00` }), null);
+  assert.equal(verifyDownloadSignature(NOTE_ID, { ...query, sig: [query.sig, query.sig] }), null);
+  assert.equal(verifyDownloadSignature(NOTE_ID, { ...query, sig: `${query.sig}zz` }), null);
+  assert.equal(verifyDownloadSignature(NOTE_ID, { ...query, sig: query.sig.toUpperCase() }), null);
+  assert.equal(verifyDownloadSignature(NOTE_ID, { ...query, sig: query.sig.replace(/^./, c => (c === '0' ? '1' : '0')) }), null);
+});
@@ -0,0 +1,83 @@
+// tests/pricing.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { calculateFees, applyDiscount, allocateAmount, bundlePriceFor } = require('../services/pricing');
+
+const cents = (amount) => Math.round(amount * 100);
+
+test('calculateFees takes the platform and Stripe cut', () => {
+  const { platformFee, stripeFee, sellerEarnings } = calculateFees(10);
+
+  assert.equal(cents(platformFee), 300);
+  assert.equal(cents(stripeFee), 59);
+  assert.equal(cents(sellerEarnings), 641);
+});
+
+test('calculateFees parts add up to the amount', () => {
+  for (const amount of [0.99, 4.5, 19.99, 123.45]) {
+    const { platformFee, stripeFee, sellerEarnings } = calculateFees(amount);
+    assert.equal(cents(platformFee + stripeFee + sellerEarnings), cents(amount));
+  }
+});
+
+test('applyDiscount takes a percentage off', () => {
+  assert.deepEqual(applyDiscount({ discount_type: 'percent', discount_value: '25' }, 9.99), { discount: 2.5, total: 7.49 });
+});
+
+test('applyDiscount takes a fixed amount off', () => {
+  assert.deepEqual(applyDiscount({ discount_type: 'fixed', discount_value: '3.00' }, 9.99), { discount: 3, total: 6.99 });
+});
+
+test('applyDiscount never goes below the minimum charge', () => {
+  assert.deepEqual(applyDiscount({ discount_type: 'fixed', discount_value: '20.00' }, 9.99), { discount: 9, total: 0.99 });
+  assert.deepEqual(applyDiscount({ discount_type: 'percent', discount_value: '90' }, 0.99), { discount: 0, total: 0.99 });
+});
+
+test('allocateAmount splits in proportion to weights', () => {
+  assert.deepEqual(allocateAmount(10, [1, 1]), [5, 5]);
+  assert.deepEqual(allocateAmount(12, [1, 2, 3]), [2, 4, 6]);
+});
+
+test('allocateAmount gives the rounding remainder to the largest parts', () => {
+  const parts = allocateAmount(10, [1, 1, 1]);
+
+  assert.deepEqual(parts, [3.34, 3.33, 3.33]);
+  assert.equal(cents(parts.reduce((sum, part) => sum + part, 0)), 1000);
+});
+
+test('allocateAmount parts always add up to the total', () => {
+  const parts = allocateAmount(19.99, [4.99, 7.5, 2.25, 0.99]);
+
+  assert.equal(cents(parts.reduce((sum, part) => sum + part, 0)), 1999);
+});
+
+test('allocateAmount splits equally when all weights are zero', () => {
+  assert.deepEqual(allocateAmount(1, [0, 0, 0]), [0.34, 0.33, 0.33]);
+});
+
+test('allocateAmount gives nothing to zero-weight parts', () => {
+  assert.deepEqual(allocateAmount(9.99, [0, 4.99, 0]), [0, 9.99, 0]);
+});
+
+test('bundlePriceFor charges the full price when nothing is owned', () => {
+  assert.equal(bundlePriceFor(15, [5, 10], [5, 10]), 15);
+});
+
+test('bundlePriceFor scales the price to the remaining notes', () => {
+  // $15 bundle of $5 + $10 + $5 notes, buyer owns the $10 one
+  assert.equal(bundlePriceFor(15, [5, 10, 5], [5, 5]), 7.5);
+});
+
+test('bundlePriceFor charges at most the remaining list price when all but one note is owned', () => {
+  assert.equal(bundlePriceFor(15, [5, 10, 5], [5]), 3.75);
+  assert.equal(bundlePriceFor(19, [10, 10], [10]), 9.5);
+  // Note prices cut below the bundle price since it was set
+  assert.equal(bundlePriceFor(15, [2, 10], [2]), 2);
+});
+
+test('bundlePriceFor never goes below the minimum charge', () => {
+  // $1.50 bundle of $0.99 + $5 notes, buyer owns the $5 one: 0.25 by share
+  assert.equal(bundlePriceFor(1.5, [0.99, 5], [0.99]), 0.99);
+  // ...but still never more than the remaining notes' list price
+  assert.equal(bundlePriceFor(3, [0.5, 20], [0.5]), 0.5);
+});
@@ -0,0 +1,59 @@
+// tests/telegramAuth.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { verifyTelegramInitData, TELEGRAM_AUTH_MAX_AGE } = require('../services/telegramAuth');
+
+const BOT_TOKEN = '123456:TEST-bot-token';
+const USER = { id: 42, first_name: 'Ada', username: 'ada' };
+
+// initData signed the way Telegram signs it
+const signInitData = (fields, botToken = BOT_TOKEN) => {
+  const params = new URLSearchParams(fields);
+  const dataCheckString = [...params.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('\n');
+
+  const secretKey = crypto.createHmac('sha256', 'WebAppData').update(botToken).digest();
+  params.set('hash', crypto.createHmac('sha256', secretKey).update(dataCheckString).digest('hex'));
+
+  return params.toString();
+};
+
+const now = () => Math.floor(Date.now() / 1000);
+
+test('accepts initData signed with the bot token', () => {
+  const initData = signInitData({ auth_date: now(), query_id: 'AAH', user: JSON.stringify(USER) });
+
+  assert.deepEqual(verifyTelegramInitData(initData, BOT_TOKEN), USER);
+});
+
+test('rejects initData signed with another bot token', () => {
+  const initData = signInitData({ auth_date: now(), user: JSON.stringify(USER) }, '654321:OTHER');
+
+  assert.equal(verifyTelegramInitData(initData, BOT_TOKEN), null);
+});
+
+test('rejects tampered fields', () => {
+  const params = new URLSearchParams(signInitData({ auth_date: now(), user: JSON.stringify(USER) }));
+  params.set('user', JSON.stringify({ ...USER, id: 43 }));
+
+  assert.equal(verifyTelegramInitData(params.toString(), BOT_TOKEN), null);
+});
+
+test('rejects a missing or malformed hash', () => {
+  const params = new URLSearchParams(signInitData({ auth_date: now(), user: JSON.stringify(USER) }));
+
+  params.set('hash', 'abc');
+  assert.equal(verifyTelegramInitData(params.toString(), BOT_TOKEN), null);
+
+  params.delete('hash');
+  assert.equal(verifyTelegramInitData(params.toString(), BOT_TOKEN), null);
+});
+
+test('rejects stale auth_date', () => {
+  const initData = signInitData({ auth_date: now() - TELEGRAM_AUTH_MAX_AGE - 60, user: JSON.stringify(USER) });
+
+  assert.equal(verifyTelegramInitData(initData, BOT_TOKEN), null);
+});
@@ -0,0 +1,95 @@
+// tests/twoFactor.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { authenticator } = require('otplib');
+
+// In-memory stand-in for the users table, enough for verifyCode
+const users = new Map();
+
+require.cache[require.resolve('../db')] = {
+  loaded: true,
+  exports: {
+    query: async (text, params) => {
+      const user = users.get(params[0]);
+
+      if (text.startsWith('SELECT totp_secret')) {
+        return { rows: user && user.totp_enabled_at ? [{ totp_secret: user.totp_secret }] : [] };
+      }
+
+      if (text.includes('SET totp_last_step = $2')) {
+        if (user.totp_last_step === null || user.totp_last_step < params[1]) {
+          user.totp_last_step = params[1];
+          return { rows: [{ id: user.id }] };
+        }
+
+        return { rows: [] };
+      }
+
+      if (text.includes('user_recovery_codes')) {
+        return { rows: [] };
+      }
+
+      throw new Error(`Unexpected query: ${text}`);
+    }
+  }
+};
+
+const { matchedStep, verifyCode } = require('../services/twoFactor');
+
+const STEP_MS = authenticator.allOptions().step * 1000;
+
+// Code for `steps` time-steps from now
+const codeAt = (secret, steps = 0) => authenticator.clone({ epoch: Date.now() + steps * STEP_MS }).generate(secret);
+
+const enrolledUser = (id) => {
+  const user = { id, totp_secret: authenticator.generateSecret(), totp_enabled_at: new Date(), totp_last_step: null };
+  users.set(id, user);
+  return user;
+};
+
+test('matchedStep returns the time-step of a valid code', () => {
+  const secret = authenticator.generateSecret();
+  const step = matchedStep(codeAt(secret), secret);
+
+  assert.ok(step === Math.floor(Date.now() / STEP_MS) || step === Math.floor(Date.now() / STEP_MS) - 1);
+});
+
+test('matchedStep accounts for drift within the window', () => {
+  const secret = authenticator.generateSecret();
+
+  assert.equal(matchedStep(codeAt(secret, -1), secret), matchedStep(codeAt(secret), secret) - 1);
+});
+
+test('matchedStep rejects wrong and malformed codes', () => {
+  const secret = authenticator.generateSecret();
+  const code = codeAt(secret);
+  const wrong = String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+  assert.equal(matchedStep(wrong, secret), null);
+  assert.equal(matchedStep(code.slice(1), secret), null);
+  assert.equal(matchedStep(`${code}0`, secret), null);
+  assert.equal(matchedStep('abcdef', secret), null);
+  assert.equal(matchedStep(codeAt(secret, -5), secret), null);
+});
+
+test('verifyCode accepts a code only once', async () => {
+  const user = enrolledUser('user-replay');
+  const code = codeAt(user.totp_secret);
+
+  assert.equal(await verifyCode(user.id, code), true);
+  assert.equal(await verifyCode(user.id, code), false);
+});
+
+test('verifyCode rejects an older code once a newer one was used', async () => {
+  const user = enrolledUser('user-older');
+
+  assert.equal(await verifyCode(user.id, codeAt(user.totp_secret)), true);
+  assert.equal(await verifyCode(user.id, codeAt(user.totp_secret, -1)), false);
+});
+
+test('verifyCode accepts the next time-step after the current one', async () => {
+  const user = enrolledUser('user-next');
+
+  assert.equal(await verifyCode(user.id, codeAt(user.totp_secret, -1)), true);
+  assert.equal(await verifyCode(user.id, codeAt(user.totp_secret)), true);
+});
@@ -0,0 +1,78 @@
+// tests/watermark.test.js
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PDFDocument, StandardFonts } = require('pdf-lib');
+
+process.env.WATERMARK_SECRET = 'test-watermark-secret';
+
+const { fingerprintFor, watermarkFile, extractFingerprint, FINGERPRINT_PATTERN } = require('../services/watermark');
+
+const PURCHASE_ID = '3f2b1c9e-5d7a-4e8b-9c0d-1a2b3c4d5e6f';
+
+const stampFor = (purchaseId) => ({
+  username: 'ada',
+  purchaseId,
+  date: '2026-03-14T10:00:00Z',
+  fingerprint: fingerprintFor(purchaseId)
+});
+
+const samplePdf = async (pages = 2) => {
+  const pdf = await PDFDocument.create();
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+
+  for (let i = 1; i <= pages; i++) {
+    pdf.addPage([595, 842]).drawText(`Lecture notes, page ${i}`, { x: 50, y: 780, size: 14, font });
+  }
+
+  return Buffer.from(await pdf.save());
+};
+
+// What a leaker's "remove metadata" tool leaves behind
+const stripMetadata = async (buffer) => {
+  const pdf = await PDFDocument.load(buffer);
+  pdf.setKeywords([]);
+  pdf.setProducer('');
+  pdf.setCreator('');
+  return Buffer.from(await pdf.save());
+};
+
+test('fingerprintFor is stable per purchase', () => {
+  assert.equal(fingerprintFor(PURCHASE_ID), fingerprintFor(PURCHASE_ID));
+});
+
+test('fingerprintFor differs between purchases', () => {
+  assert.notEqual(fingerprintFor(PURCHASE_ID), fingerprintFor('8a7b6c5d-4e3f-4a1b-8c9d-0e1f2a3b4c5d'));
+});
+
+test('fingerprintFor matches the pattern used to extract it', () => {
+  const fingerprint = fingerprintFor(PURCHASE_ID);
+
+  assert.match(fingerprint, /^NTX-[0-9a-f]{16}$/);
+  assert.equal(`footer ${fingerprint} text`.match(FINGERPRINT_PATTERN)[0], fingerprint);
+});
+
+test('extractFingerprint reads the fingerprint from a stamped PDF', async () => {
+  const stamped = await watermarkFile(await samplePdf(), 'application/pdf', stampFor(PURCHASE_ID));
+
+  assert.equal(await extractFingerprint(stamped), fingerprintFor(PURCHASE_ID));
+});
+
+test('extractFingerprint finds the fingerprint in the page text once metadata is stripped', async () => {
+  const stamped = await watermarkFile(await samplePdf(), 'application/pdf', stampFor(PURCHASE_ID));
+  const stripped = await stripMetadata(stamped);
+
+  assert.equal(stripped.toString('latin1').match(FINGERPRINT_PATTERN), null);
+  assert.equal(await extractFingerprint(stripped), fingerprintFor(PURCHASE_ID));
+});
+
+test('extractFingerprint returns null for unstamped files', async () => {
+  assert.equal(await extractFingerprint(await samplePdf()), null);
+  assert.equal(await extractFingerprint(Buffer.from('plain text')), null);
+});
+
+test('watermarkFile refuses to hand back an unstamped PDF or image', async () => {
+  const broken = Buffer.from('%PDF-1.7 truncated');
+
+  await assert.rejects(watermarkFile(broken, 'application/pdf', stampFor(PURCHASE_ID)));
+  await assert.rejects(watermarkFile(broken, 'image/png', stampFor(PURCHASE_ID)));
+});